@@ -1,6 +1,11 @@
 let Point = require("./Point.js");
-let Pieces = require("./Pieces.js");
+let Pieces = require("./pieces.js");
 let Move = require("./Move.js");
+let GameState = require("./GameState.js");
+let FENError = require("./FENError.js");
+let MateSearch = require("./MateSearch.js");
+let Mailbox = require("./Mailbox.js");
+let Zobrist = require("./Zobrist.js");
 let Piece = Pieces.Piece;
 let Bishop = Pieces.Bishop;
 let Knight = Pieces.Knight;
@@ -9,6 +14,10 @@ let Pawn = Pieces.Pawn;
 let Queen = Pieces.Queen;
 let King = Pieces.King;
 
+let POINTS = Mailbox.POINTS;
+let OFF_BOARD = Mailbox.OFF_BOARD;
+let indexOf = Mailbox.indexOf;
+
 
 /**
  *  Maintains a reference to all pieces
@@ -19,14 +28,142 @@ class Board {
 
     constructor() {
 
-        // Init explicitly empty 8x8 board.
-        // Board oriented in standard way i.e from white's perspective.
-        // Stored as array of rows, 8th rank to 1st, as this is more intuitive than more clever mechanisms
-        this.pieceList = [];
-        for (let i=0; i < 8; i++) {
-            this.pieceList.push([null, null, null, null, null, null, null, null]);
+        this.clear();
+
+        // Side to move, castling rights, en passant square and clocks
+        this.state = new GameState();
+    }
+
+    /**
+     * Remove all pieces from the board
+     */
+    clear() {
+
+        // 0x88 mailbox: the piece on each square, indexed rank * 16 + file (see Mailbox.js).
+        // The off-board half of each row is always null
+        this.squares = new Array(128).fill(null);
+
+        // Every piece on the board, in no particular order, for finding attackers without scanning all squares
+        this.pieceSet = [];
+
+        // Zobrist key of the piece placement alone, in two 32-bit halves. Updated as pieces
+        // are placed, moved and lifted; the game state is added in when the key is read
+        this.placementKeyHigh = 0;
+        this.placementKeyLow = 0;
+
+        // Undo stack for makeMove/unmakeMove. Meaningless once the position is replaced
+        this.history = [];
+
+        // Piece relations (attackers, defenders) need recomputing
+        this.relationsDirty = true;
+    }
+
+    /**
+     * Play a move, updating game state. The move should come from this position's move generator.
+     *
+     * Handles captures (including en passant), the rook's hop when castling and promotion,
+     * and updates castling rights, en passant square, clocks and side to move.
+     *
+     * @param {Move} move
+     */
+    makeMove(move) {
+
+        let piece = move.piece;
+        let color = piece.color;
+        let captured = move.captured;
+        let from = indexOf(move.fromPoint);
+        let to = indexOf(move.toPoint);
+        let rights = this.state.castlingRights;
+        let key = this._computeKey();
+        let entry = { move: move, state: this.state.clone(), promoted: null, rookMove: null, keyHigh: key.high, keyLow: key.low };
+
+        if (captured) {
+            this._lift(captured);
+            captured.board = null;
+        }
+
+        if (move.promotion) {
+            this._lift(piece);
+            piece.board = null;
+            entry.promoted = this.createPiece(move.promotion, color);
+            this._put(entry.promoted, to);
+        } else {
+            this._shift(piece, to);
+        }
+
+        if (move.isCastling) {
+            // Rook goes from the corner to the square the king passed over
+            let kingside = move.castlingSide === "kingside";
+            let rook = this.squares[kingside ? from + 3 : from - 4];
+
+            entry.rookMove = { rook: rook, from: indexOf(rook.point), to: kingside ? from + 1 : from - 1 };
+            this._shift(rook, entry.rookMove.to);
+        }
+
+        // Castling rights are lost when the king moves, or a rook leaves or is captured on its corner
+        if (piece.isKing) {
+            rights[color].kingside = false;
+            rights[color].queenside = false;
+        }
+
+        [from, to].forEach( (index) => {
+            if (index === 7) rights.white.kingside = false;
+            if (index === 0) rights.white.queenside = false;
+            if (index === 119) rights.black.kingside = false;
+            if (index === 112) rights.black.queenside = false;
+        });
+
+        // A two-square pawn advance leaves the skipped square open to en passant
+        this.state.enPassantSquare = null;
+        if (piece.type === Piece.types.PAWN && Math.abs(to - from) === 32) {
+            this.state.enPassantSquare = POINTS[(from + to) / 2].toAlgebraic();
+        }
+
+        if (piece.type === Piece.types.PAWN || captured) {
+            this.state.halfmoveClock = 0;
+        } else {
+            this.state.halfmoveClock++;
+        }
+
+        if (color === Piece.colors.BLACK) this.state.fullmoveNumber++;
+
+        this.state.activeColor = Piece.opposite(color);
+
+        this.history.push(entry);
+        this.relationsDirty = true;
+    }
+
+    /**
+     * Take back the last move played with makeMove
+     *
+     * @returns {Move|null} The move taken back, or null if there was nothing to undo
+     */
+    unmakeMove() {
+
+        let entry = this.history.pop();
+
+        if (!entry) return null;
+
+        let move = entry.move;
+        let from = indexOf(move.fromPoint);
+
+        if (entry.rookMove) this._shift(entry.rookMove.rook, entry.rookMove.from);
+
+        if (entry.promoted) {
+            this._lift(entry.promoted);
+            entry.promoted.board = null;
+            this._put(move.piece, from);
+        } else {
+            this._shift(move.piece, from);
         }
 
+        // A captured piece kept its point when it was lifted off
+        if (move.captured) this._put(move.captured, indexOf(move.captured.point));
+
+        this.state = entry.state;
+        this.relationsDirty = true;
+
+        return move;
     }
 
     setInitialPosition() {
@@ -38,21 +175,38 @@ class Board {
     }
 
     /**
-     * Full list of pieces, useful for iterating possible moves
+     * Full list of pieces, useful for iterating possible moves.
+     * In board order: 8th rank to 1st, a-file to h-file, as in FEN
+     *
+     * @returns {Piece[]} A new array, safe to modify
      */
     get pieces() {
-        let rank, file;
-        let pieceArray = [];
+        let pieces = [];
+
+        for (let rank = 7; rank >= 0; rank--) {
+            for (let index = rank * 16; index < rank * 16 + 8; index++) {
+                if (this.squares[index]) pieces.push(this.squares[index]);
+            }
+        }
+
+        return pieces;
+    }
 
-        // Filter out empty squares from each row
-        let pieceRows = this.pieceList.map(
-            (row) => row.filter( (sq) => sq !== null)
-        );
+    /**
+     * The board as 8 rows of 8 squares, each a Piece or null. Rows run from the 8th rank
+     * down to the 1st, files from a to h, as in FEN. This was the board's own storage
+     * before the mailbox and is kept for callers that read it.
+     *
+     * @returns {Array<Array<Piece|null>>} A new copy: writing to it doesn't change the board
+     */
+    get pieceList() {
+        let rows = [];
 
-        // Flatten rows into single-dimensional array
-        pieceRows.forEach( (row) => pieceArray = pieceArray.concat(row));
+        for (let rank = 7; rank >= 0; rank--) {
+            rows.push(this.squares.slice(rank * 16, rank * 16 + 8));
+        }
 
-        return pieceArray;
+        return rows;
     }
 
     /**
@@ -61,9 +215,24 @@ class Board {
      * @param {String} type
      * @param {String} color
      * @param {String} square Algebraic notation of square
+     * @returns {Piece} The new piece
      */
     addPiece(type, color, square) {
 
+        let piece = this.createPiece(type, color);
+
+        this.setPieceAtSquare(square, piece);
+
+        return piece;
+    }
+
+    /**
+     * @param {String} type
+     * @param {String} color
+     * @returns {Piece} A new piece, not yet placed on the board
+     */
+    createPiece(type, color) {
+
         let piece;
        
         switch (type) {
@@ -87,24 +256,30 @@ class Board {
                 break;
         }
 
-        this.setPieceAtSquare(square, piece);
+        return piece;
     }
 
     /**
-     * Get piece at a square denoted by numeric coordinates (0, 0) to (7, 7)
+     * Get piece at a square denoted in algebraic notation
      * 
-     * a8 = (0, 0)
-     * h1 = (7, 7)
-     * 
-     * @param {Number} file
-     * @param {Number} rank
+     * @param {String} square
      * @returns {Piece|null}
      */
     getPieceAtSquare(square) {
+        return this.getPieceAtPoint(this.algebraicToPoint(square));
+    }
 
-        let point = this.algebraicToPoint(square);
-
-        return this.pieceList[point.rank][point.file];
+    /**
+     * Get piece at a square denoted by numeric coordinates (0, 0) to (7, 7)
+     * 
+     * a1 = (0, 0)
+     * h8 = (7, 7)
+     * 
+     * @param {Point} point
+     * @returns {Piece|null}
+     */
+    getPieceAtPoint(point) {
+        return this.squares[indexOf(point)];
     }
 
     /**
@@ -114,11 +289,193 @@ class Board {
      * @param {Piece|null} piece The piece to set. Pass null to clear a square
      */
     setPieceAtSquare(square, piece) {
-        let point = this.algebraicToPoint(square);
+        this.setPieceAtPoint(this.algebraicToPoint(square), piece);
+    }
+
+    /**
+     * @param {Point} point
+     * @param {Piece|null} piece The piece to set. Pass null to clear a square
+     */
+    setPieceAtPoint(point, piece) {
+
+        let index = indexOf(point);
+        let previous = this.squares[index];
+
+        if (previous !== piece) {
+
+            if (previous) {
+                this._lift(previous);
+                previous.board = null;
+            }
+
+            // Already elsewhere on this board: move it, rather than have it in two places
+            if (piece && piece.board === this && this.squares[indexOf(piece.point)] === piece) {
+                this._lift(piece);
+            }
+
+            if (piece) this._put(piece, index);
+        }
+
+        this.relationsDirty = true;
+    }
+
+    /**
+     * Place a piece that isn't on the board on an empty square
+     *
+     * @param {Piece} piece
+     * @param {Number} index Mailbox index of the square
+     */
+    _put(piece, index) {
+        piece.point = POINTS[index];
+        piece.board = this;
+        this._drop(piece);
+    }
+
+    /**
+     * Move a piece already on the board to an empty square
+     *
+     * @param {Piece} piece
+     * @param {Number} index Mailbox index of the square
+     */
+    _shift(piece, index) {
+        let from = indexOf(piece.point);
+
+        this.squares[from] = null;
+        this.squares[index] = piece;
+        piece.point = POINTS[index];
+
+        this._hashPiece(piece, from);
+        this._hashPiece(piece, index);
+    }
+
+    /**
+     * Take a piece off the board. Its point and board are left alone,
+     * so _drop can put it straight back.
+     *
+     * @param {Piece} piece
+     */
+    _lift(piece) {
+        let i = this.pieceSet.indexOf(piece);
+        let last = this.pieceSet.pop();
+
+        if (last !== piece) this.pieceSet[i] = last;
+
+        this.squares[indexOf(piece.point)] = null;
+        this._hashPiece(piece, indexOf(piece.point));
+    }
+
+    /**
+     * Put a lifted piece back on its point
+     *
+     * @param {Piece} piece
+     */
+    _drop(piece) {
+        this.squares[indexOf(piece.point)] = piece;
+        this.pieceSet.push(piece);
+        this._hashPiece(piece, indexOf(piece.point));
+    }
+
+    /**
+     * XOR a piece on a square into or out of the placement key
+     *
+     * @param {Piece} piece
+     * @param {Number} index Mailbox index of the square
+     */
+    _hashPiece(piece, index) {
+        let keys = Zobrist.PIECES[piece.color][piece.type];
+
+        this.placementKeyHigh ^= keys.high[index];
+        this.placementKeyLow ^= keys.low[index];
+    }
+
+    /**
+     * Zobrist key of the position: piece placement, side to move, castling rights and en passant.
+     * Positions with the same key are the same for repetition purposes, so the key can be used
+     * to recognise a position reached again, by another move order or in another game.
+     *
+     * @returns {String} 64 bits as 16 hex digits
+     */
+    get key() {
+        let key = this._computeKey();
+
+        return Zobrist.toHex(key.high, key.low);
+    }
+
+    /**
+     * Add the game state to the placement key.
+     *
+     * The en passant file only counts if a pawn of the side to move stands ready to capture,
+     * as otherwise the position plays the same as it would without the en passant square.
+     *
+     * @returns {Object} high and low 32-bit halves of the key
+     */
+    _computeKey() {
+
+        let high = this.placementKeyHigh;
+        let low = this.placementKeyLow;
+        let state = this.state;
+        let rights = state.castlingRights;
+        let castling = Zobrist.CASTLING;
+
+        if (rights.white.kingside) { high ^= castling.high[0]; low ^= castling.low[0]; }
+        if (rights.white.queenside) { high ^= castling.high[1]; low ^= castling.low[1]; }
+        if (rights.black.kingside) { high ^= castling.high[2]; low ^= castling.low[2]; }
+        if (rights.black.queenside) { high ^= castling.high[3]; low ^= castling.low[3]; }
+
+        if (state.activeColor === Piece.colors.BLACK) {
+            high ^= Zobrist.BLACK_TO_MOVE.high[0];
+            low ^= Zobrist.BLACK_TO_MOVE.low[0];
+        }
 
-        piece.point = point;
+        if (state.enPassantSquare && this._canCaptureEnPassant()) {
+            let file = state.enPassantSquare.charCodeAt(0) - 97;
+            high ^= Zobrist.EN_PASSANT.high[file];
+            low ^= Zobrist.EN_PASSANT.low[file];
+        }
+
+        return { high: high, low: low };
+    }
+
+    /**
+     * Whether a pawn of the side to move stands beside the pawn that just moved two.
+     * Pins aren't considered.
+     *
+     * @returns {Boolean}
+     */
+    _canCaptureEnPassant() {
+
+        let color = this.state.activeColor;
+        let target = indexOf(Point.fromAlgebraic(this.state.enPassantSquare));
+
+        // The capturing pawn is on the rank behind the en passant square, from its own side
+        let behind = target + (color === Piece.colors.WHITE ? -16 : 16);
+
+        return [behind - 1, behind + 1].some( (index) => {
+            let piece = !(index & OFF_BOARD) && this.squares[index];
+            return piece && piece.type === Piece.types.PAWN && piece.color === color;
+        });
+    }
+
+    /**
+     * How many times the current position has occurred in the move history, counting now.
+     * Only positions since the last capture or pawn move are looked at, as no earlier one can
+     * be the same. Positions before the history starts (e.g. before the FEN it was set up from)
+     * aren't known.
+     *
+     * @returns {Number} 1 if it hasn't occurred before
+     */
+    getRepetitionCount() {
+
+        let key = this._computeKey();
+        let count = 1;
+        let earliest = Math.max(0, this.history.length - this.state.halfmoveClock);
 
-        this.pieceList[7 - point.rank][point.file] = piece;
+        // Same side to move every other ply. history[i] holds the position before move i
+        for (let i = this.history.length - 2; i >= earliest; i -= 2) {
+            if (this.history[i].keyHigh === key.high && this.history[i].keyLow === key.low) count++;
+        }
+
+        return count;
     }
 
     /**
@@ -138,18 +495,13 @@ class Board {
     }
 
     /**
-     * Convert square denoted in algebraic notation to numeric point for internal array lookup
+     * Convert square denoted in algebraic notation to numeric point, a1 = (0, 0)
      * 
      * @param {String} square
+     * @returns {Point}
      */
     algebraicToPoint(square) {
-
-        let letter = square[0];
-        let number = square[1];
-        let file = "abcdefgh".indexOf(letter);
-        let rank = 8 - number;
-
-        return new Point(file, rank);
+        return Point.fromAlgebraic(square);
     }
 
     /**
@@ -171,7 +523,7 @@ class Board {
      *          SPECIAL CASE : En passant
      *              AND target square is en passant square.
      * 
-     *              NOTE: However, EP square is part of game state, so it must be passed in from outside.
+     *              NOTE: However, EP square is part of game state, so it is read from this.state.
      *              It cannot be reliably inferred from game position.
      *              (Example: 1. pawn moves one, knight moves out 2. pawn moves one more, knight moves back.
      *                  Stupid but valid. This cannot be distinguished from 1. pawn moves two, without move history information)
@@ -180,172 +532,1498 @@ class Board {
      *              AND no squares that the king will pass during castling are attacked by enemy
      *              AND king and rook have not moved
      * 
-     *                  NOTE: Whether the king and rook have moved is part of the game state, which is not
-     *                  tracked by this class. This information must be passed in from outside. The strictest
-     *                  check we can do without this information is confirm they're on the right squares.
+     *                  NOTE: Whether the king and rook have moved is part of the game state, and is read
+     *                  from the castling rights in this.state. We also confirm they're on the right squares.
+     *                  Castling moves are only generated when they're fully legal.
      * 
      * 
+     * @param {String} [color] Only generate moves for this side. Both sides if omitted
+     * @returns {Move[]}
      */
-    getpseudoLegalMoves() {
+    getpseudoLegalMoves(color) {
 
         let moves = [];
-        let newMoves;
+        let piece;
 
-        for (let p = 0; p < this.pieces.length; p++) {
-            newMoves = this.getpseudoLegalMovesForPiece(this.pieces[p]);
-            if (newMoves) moves = moves.concat(newMoves);
+        // Same order as this.pieces, without building the array
+        for (let rank = 7; rank >= 0; rank--) {
+            for (let index = rank * 16; index < rank * 16 + 8; index++) {
+                piece = this.squares[index];
+                if (!piece || (color && piece.color !== color)) continue;
+                this._addPseudoLegalMoves(piece, moves);
+            }
         }
 
         return moves;
     }
 
+    /**
+     * Moves that are pseudo-legal and don't leave the mover's own king in check.
+     * Covers pins, the king stepping onto attacked squares, and getting out of check.
+     *
+     * @param {String} [color] Side to generate moves for. Defaults to the side to move
+     * @returns {Move[]}
+     */
+    getLegalMoves(color = this.state.activeColor) {
+        return this.getpseudoLegalMoves(color).filter( (move) => !this.leavesKingInCheck(move) );
+    }
+
+    /**
+     * Legal moves for a single piece
+     *
+     * @param {Piece} piece
+     * @returns {Move[]}
+     */
+    getLegalMovesForPiece(piece) {
+        return this.getpseudoLegalMovesForPiece(piece).filter( (move) => !this.leavesKingInCheck(move) );
+    }
+
+    /**
+     * Play the move on the board just long enough to see if it exposes the mover's king.
+     * En passant removes the captured pawn from beside the mover, which is how the
+     * horizontal pin (king and rook on the same rank as both pawns) gets caught.
+     *
+     * Only the mailbox squares of the moving and captured pieces are changed, not the
+     * whole of makeMove: what a pawn promotes to, or the rook's hop when castling,
+     * can't expose the king.
+     *
+     * @param {Move} move
+     * @returns {Boolean}
+     */
+    leavesKingInCheck(move) {
+
+        let piece = move.piece;
+        let captured = move.captured;
+        let enemy = Piece.opposite(piece.color);
+        let from = indexOf(move.fromPoint);
+        let to = indexOf(move.toPoint);
+        let king = piece.isKing ? piece : this.getKing(piece.color);
+
+        if (!king) return false;
+
+        let kingIndex = piece.isKing ? to : indexOf(king.point);
+
+        if (captured) this.squares[indexOf(captured.point)] = null;
+        this.squares[from] = null;
+        this.squares[to] = piece;
+
+        let inCheck = this._isAttacked(kingIndex, enemy, captured);
+
+        this.squares[to] = null;
+        this.squares[from] = piece;
+        if (captured) this.squares[indexOf(captured.point)] = captured;
+
+        return inCheck;
+    }
+
     /**
      * @param {Piece} piece
+     * @returns {Move[]}
      */
     getpseudoLegalMovesForPiece(piece) {
 
-        let pseudoPoints = [];
-        let pseudoMoves = [];
-        let lineList;
-        let pointList;
+        let moves = [];
+
+        this._addPseudoLegalMoves(piece, moves);
+
+        return moves;
+    }
+
+    /**
+     * Generate a piece's pseudo-legal moves straight onto a list, stepping through the mailbox.
+     * Slides and jumps are tried in the same order as Point's line helpers.
+     *
+     * @param {Piece} piece
+     * @param {Move[]} moves Receives the moves
+     */
+    _addPseudoLegalMoves(piece, moves) {
+
+        let from = indexOf(piece.point);
 
         switch (piece.type) {
             case Piece.types.BISHOP:
-                lineList = piece.getDiagonals();
-                pseudoPoints = this.findUnblockedPointsOnLine(lineList, piece.color);
+                this._addSlides(piece, from, Mailbox.DIAGONALS, moves);
                 break;
+
             case Piece.types.ROOK:
-                lineList = piece.getStraightLines();
-                pseudoPoints = this.findUnblockedPointsOnLine(lineList, piece.color);
+                this._addSlides(piece, from, Mailbox.STRAIGHT, moves);
                 break;
 
             case Piece.types.QUEEN:
-                lineList = piece.getAllLines();
-                pseudoPoints = this.findUnblockedPointsOnLine(lineList, piece.color);
+                this._addSlides(piece, from, Mailbox.STRAIGHT, moves);
+                this._addSlides(piece, from, Mailbox.DIAGONALS, moves);
                 break;
 
             case Piece.types.KING:
-                pointList = piece.getSurroundingPoints();
-                pseudoPoints = this.findUnblockedPoints(pointList, piece.color, true);
+                this._addSteps(piece, from, Mailbox.KING_STEPS, moves);
+                this.getCastlingMoves(piece).forEach( (move) => moves.push(move) );
                 break;
 
             case Piece.types.KNIGHT:
-                pointList = piece.getKnightPoints();
-                pseudoPoints = this.findUnblockedPoints(pointList, piece.color, true);
+                this._addSteps(piece, from, Mailbox.KNIGHT_JUMPS, moves);
                 break;
 
             case Piece.types.PAWN:
-                pseudoPoints = this.getPawnPseudoMoves(piece);
+                this._addPawnMoves(piece, from, moves);
                 break;
         }
+    }
 
-        pseudoMoves = pseudoPoints.map( (pt) => {
-            return new Move(piece, piece.point, pt);
-        });
+    /**
+     * Bishop, rook and queen moves: along each line until a piece is in the way,
+     * which can be captured unless it's ours or a king
+     */
+    _addSlides(piece, from, steps, moves) {
+
+        let occupant;
+
+        for (let i = 0; i < steps.length; i++) {
+            for (let to = from + steps[i]; !(to & OFF_BOARD); to += steps[i]) {
 
-        console.log(pseudoMoves);
+                occupant = this.squares[to];
+
+                if (!occupant) {
+                    this._addMove(piece, from, to, null, moves);
+                    continue;
+                }
+
+                if (occupant.color !== piece.color && !occupant.isKing) {
+                    this._addMove(piece, from, to, occupant, moves);
+                }
 
-        // console.log(`The pseudomoves for the ${piece.color} ${piece.type} on ${piece.square} are:`);
-        // pseudoPoints.forEach( x => console.log(x.toAlgebraic()));
+                break;
+            }
+        }
     }
 
     /**
-     * Check for forward moves (1 or 2) and possible attacks
-     * TODO: En passant when this information is provided externally
-     * 
-     * @param {Pawn} piece
-     * @returns {Point[]}
+     * King and knight moves: single steps to empty squares or enemy pieces other than the king
      */
-    getPawnPseudoMoves(piece) {
+    _addSteps(piece, from, steps, moves) {
 
-        let validPoints = [];
-        let attackPoints = [];
-        // getPawnAttackPoints
+        let occupant;
+        let to;
 
-        // Can they move forward one?
-        //      If there is a square in front of them, and it's not occupied
-        let pointAhead = piece.getPointAhead();
-        let isPointAheadOccupied = this.isPointOccupied(pointAhead);
+        for (let i = 0; i < steps.length; i++) {
 
-        if (pointAhead && !isPointAheadOccupied) {
-            validPoints = validPoints.concat(pointAhead);
-        }
+            to = from + steps[i];
 
-        // Can only move forward two in starting position
-        //      (if they can't move one, don't bother to check if they can move two)
-        if (piece.isOnStartingSquare() && !isPointAheadOccupied) {
-            let pointTwoAhead = piece.getPointTwoAhead();
-            if (pointTwoAhead && !this.isPointOccupied(pointTwoAhead)) {
-                validPoints = validPoints.concat(pointTwoAhead);
+            if (to & OFF_BOARD) continue;
+
+            occupant = this.squares[to];
+
+            if (!occupant || (occupant.color !== piece.color && !occupant.isKing)) {
+                this._addMove(piece, from, to, occupant, moves);
             }
         }
+    }
 
-        attackPoints = piece.getPawnAttackPoints();
-        attackPoints = this.findCaptureablePoints(attackPoints, piece.color);
-
-        validPoints = validPoints.concat(attackPoints);
+    /**
+     * Forward moves (one, or two from the starting rank), captures and en passant.
+     * A move to the last rank is added once for each piece it can promote to.
+     */
+    _addPawnMoves(piece, from, moves) {
 
-        return validPoints;
+        let isWhite = piece.color === Piece.colors.WHITE;
+        let forward = isWhite ? 16 : -16;
+        let startingRank = isWhite ? 1 : 6;
+        let ahead = from + forward;
 
-    }
+        // A pawn can't stand on its last rank, but don't step off the board if one does
+        if (ahead & OFF_BOARD) return;
 
-    findCaptureablePoints(pointList, color) {
-        let validPoints = [];
+        if (!this.squares[ahead]) {
+            this._addPawnMove(piece, from, ahead, null, moves);
 
-        for (let i=0; i < pointList.length; i++) {
-            let pieceAtSquare = this.getPieceAtSquare(pointList[i].toAlgebraic());
-            if (pieceAtSquare && pieceAtSquare.color !== color && !pieceAtSquare.isKing) {
-                validPoints.push(pointList[i]);
+            // Can only move forward two from the starting rank, and only if it could move one
+            if (from >> 4 === startingRank && !this.squares[ahead + forward]) {
+                this._addPawnMove(piece, from, ahead + forward, null, moves);
             }
         }
 
-        return validPoints;
-    }
+        let targets = [ahead - 1, ahead + 1].filter( (to) => !(to & OFF_BOARD) );
+
+        targets.forEach( (to) => {
+            let occupant = this.squares[to];
+            if (occupant && occupant.color !== piece.color && !occupant.isKing) {
+                this._addPawnMove(piece, from, to, occupant, moves);
+            }
+        });
 
+        // En passant: the square is empty, the pawn being captured is beside us
+        let epSquare = this.state.enPassantSquare;
+        if (!epSquare) return;
 
-    /**
-     * King is currently in check
-     */
-    isInCheck(color) {
+        let epTarget = targets.find( (to) => POINTS[to].toAlgebraic() === epSquare );
+        if (epTarget === undefined) return;
 
+        let victim = this.squares[(from & 0x70) | (epTarget & 7)];
+        if (victim && victim.type === Piece.types.PAWN && victim.color !== piece.color) {
+            let move = this._addMove(piece, from, epTarget, victim, moves);
+            move.isEnPassant = true;
+        }
     }
 
     /**
-     * King is in check from two sources (triple-check and higher is impossible)
+     * Add a pawn move, or one move per promotion piece if it reaches the last rank
      */
-    isInDoubleCheck(color) {
+    _addPawnMove(piece, from, to, captured, moves) {
+
+        let rank = to >> 4;
+
+        if (rank !== 0 && rank !== 7) {
+            this._addMove(piece, from, to, captured, moves);
+            return;
+        }
 
+        Board.promotionTypes.forEach( (type) => {
+            this._addMove(piece, from, to, captured, moves).promotion = type;
+        });
     }
 
     /**
-     * Side is checkmated
-     * 
+     * @returns {Move} The move added
      */
-    isCheckmated(color) {
+    _addMove(piece, from, to, captured, moves) {
 
-        // If single check:
-        //      * See if pieces can capture the attacker.
-        //          * King can only capture attacker if attacker not defended
-        //      * See if pieces can block attacker
-        //      * Exclude (absolutely) pinned pieces from capturing or blocking attacker
-        //      * Check king moves for safe squares
-        //      * If no captures, blocks, or safe squares: checkmate
-        // If double check:
-        //      * King must move, and cannot capture. Only need to check potential king move squares. If none are safe, checkmate.
+        let move = new Move(piece, POINTS[from], POINTS[to]);
 
+        move.captured = captured;
+        moves.push(move);
+
+        return move;
     }
 
     /**
-     * Side has no legal moves.
-     * 
-     * NOTE: A side is only stalemated once it's their turn to move.
-     *      This function only determines that the position is a stalemated position.
-     *      Information about which player's turn it is to move is part of game state, and not included in this class.
-     *      
+     * Castling moves available to a king. Requires:
+     *      * castling rights for that side in the game state
+     *      * king and rook on their starting squares
+     *      * empty squares between them
+     *      * king's start, transit and destination squares not attacked
+     *
+     * @param {King} king
+     * @returns {Move[]} Moves of the king two squares, flagged as castling
      */
-    isPseudoStalemated(color) {
+    getCastlingMoves(king) {
 
-    }
+        let moves = [];
+        let rank = king.color === Piece.colors.WHITE ? 0 : 7;
+        let enemy = Piece.opposite(king.color);
+        let rights = this.state.castlingRights[king.color];
+        let castlingFiles = Board.castlingFiles;
+
+        if (!rights.kingside && !rights.queenside) return moves;
+        if (king.point.rank !== rank || king.point.file !== 4) return moves;
+
+        // Mailbox index of a file on the home rank
+        let at = (f) => rank * 16 + "abcdefgh".indexOf(f);
+
+        Object.keys(castlingFiles).forEach( (side) => {
+
+            let files = castlingFiles[side];
+            let rook = this.squares[at(files.rookFrom)];
+
+            if (!rights[side]) return;
+            if (!rook || rook.type !== Piece.types.ROOK || rook.color !== king.color) return;
+
+            let isBlocked = files.empty.some( (f) => this.squares[at(f)] );
+            if (isBlocked) return;
+
+            let isAttacked = files.kingPath.some( (f) => this._isAttacked(at(f), enemy) );
+            if (isAttacked) return;
+
+            let move = new Move(king, king.point, POINTS[at(files.kingTo)]);
+            move.isCastling = true;
+            move.castlingSide = side;
+            moves.push(move);
+        });
+
+        return moves;
+    }
+
+    /**
+     * Whether any piece of the given color attacks a square.
+     * Squares occupied by byColor's own pieces count too (i.e. defended squares).
+     *
+     * @param {String} square Algebraic notation of square
+     * @param {String} byColor
+     * @returns {Boolean}
+     */
+    isSquareAttacked(square, byColor) {
+        return this.getAttackers(square, byColor).length > 0;
+    }
+
+    /**
+     * All pieces of the given color that attack a square.
+     *
+     * @param {String} square Algebraic notation of square
+     * @param {String} byColor
+     * @returns {Piece[]}
+     */
+    getAttackers(square, byColor) {
+        return this._attackersOf(indexOf(Point.fromAlgebraic(square)), byColor);
+    }
+
+    /**
+     * @param {Number} target Mailbox index of the square
+     * @param {String} byColor
+     * @returns {Piece[]}
+     */
+    _attackersOf(target, byColor) {
+        return this.pieceSet.filter( (piece) => piece.color === byColor && this._attacks(piece, target) );
+    }
+
+    /**
+     * Faster isSquareAttacked, for move generation
+     *
+     * @param {Number} target Mailbox index of the square
+     * @param {String} byColor
+     * @param {Piece} [except] Piece to leave out, as if it had been captured
+     * @returns {Boolean}
+     */
+    _isAttacked(target, byColor, except = null) {
+
+        let pieces = this.pieceSet;
+
+        for (let i = 0; i < pieces.length; i++) {
+            if (pieces[i] === except) continue;
+            if (pieces[i].color === byColor && this._attacks(pieces[i], target)) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a piece attacks a square. The attack tables say whether a piece of its kind
+     * could from that distance and direction; a slider also needs the squares between empty.
+     *
+     * @param {Piece} piece
+     * @param {Number} target Mailbox index of the square
+     * @returns {Boolean}
+     */
+    _attacks(piece, target) {
+
+        let from = indexOf(piece.point);
+        let difference = target - from + Mailbox.DIFFERENCE_OFFSET;
+        let bits = Mailbox.ATTACKS[difference] & Mailbox.ATTACKER_BITS[piece.color][piece.type];
+
+        if (!bits) return false;
+
+        if (bits & Mailbox.SLIDER) {
+            let step = Mailbox.RAY_STEPS[difference];
+
+            for (let index = from + step; index !== target; index += step) {
+                if (this.squares[index]) return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * @param {String} color
+     * @returns {King|null}
+     */
+    getKing(color) {
+        return this.pieceSet.find( (piece) => piece.isKing && piece.color === color ) || null;
+    }
+
+    /**
+     * Enemy pieces giving check to the king of the given color
+     *
+     * @param {String} color
+     * @returns {Piece[]} Empty if not in check, or there is no king
+     */
+    getCheckers(color) {
+        let king = this.getKing(color);
+        let enemy = Piece.opposite(color);
+
+        return king ? this._attackersOf(indexOf(king.point), enemy) : [];
+    }
+
+    /**
+     * Points a piece attacks, whether empty or occupied by either color.
+     *
+     * With includeXRay, sliders see through friendly pieces that attack along the same line,
+     * so a queen behind a rook on a file also attacks (and defends) what the rook does.
+     *
+     * @param {Piece} piece
+     * @param {Boolean} [includeXRay=false]
+     * @returns {Point[]}
+     */
+    getAttackedPoints(piece, includeXRay = false) {
+
+        let from = indexOf(piece.point);
+        let points = [];
+
+        let step = (steps) => {
+            steps.forEach( (offset) => {
+                if (!((from + offset) & OFF_BOARD)) points.push(POINTS[from + offset]);
+            });
+        };
+
+        let walk = (steps, batteryTypes) => {
+            steps.forEach( (offset) => {
+                for (let index = from + offset; !(index & OFF_BOARD); index += offset) {
+                    let occupant = this.squares[index];
+
+                    points.push(POINTS[index]);
+
+                    if (!occupant) continue;
+
+                    let isBattery = includeXRay && occupant.color === piece.color && batteryTypes.includes(occupant.type);
+                    if (!isBattery) break;
+                }
+            });
+        };
+
+        switch (piece.type) {
+            case Piece.types.PAWN:
+                let forward = piece.color === Piece.colors.WHITE ? 16 : -16;
+                step([forward - 1, forward + 1]);
+                break;
+            case Piece.types.KNIGHT:
+                step(Mailbox.KNIGHT_JUMPS);
+                break;
+            case Piece.types.KING:
+                step(Mailbox.KING_STEPS);
+                break;
+            case Piece.types.BISHOP:
+                walk(Mailbox.DIAGONALS, [Piece.types.BISHOP, Piece.types.QUEEN]);
+                break;
+            case Piece.types.ROOK:
+                walk(Mailbox.STRAIGHT, [Piece.types.ROOK, Piece.types.QUEEN]);
+                break;
+            case Piece.types.QUEEN:
+                walk(Mailbox.STRAIGHT, [Piece.types.ROOK, Piece.types.QUEEN]);
+                walk(Mailbox.DIAGONALS, [Piece.types.BISHOP, Piece.types.QUEEN]);
+                break;
+        }
+
+        return points;
+    }
+
+    /**
+     * Fill attackedBy, defendedBy, attacking and defending on every piece.
+     * X-ray attacks and defenses through batteries are included.
+     * Pins and skewers are found at the same time.
+     */
+    computeRelations() {
+
+        let pieces = this.pieces;
+
+        pieces.forEach( (piece) => {
+            piece._attackedBy = [];
+            piece._defendedBy = [];
+            piece._attacking = [];
+            piece._defending = [];
+            piece._pinnedBy = null;
+            piece._pinnedTo = null;
+        });
+
+        pieces.forEach( (piece) => {
+            this.getAttackedPoints(piece, true).forEach( (pt) => {
+
+                let target = this.getPieceAtPoint(pt);
+
+                if (!target) return;
+
+                if (target.color === piece.color) {
+                    piece._defending.push(target);
+                    target._defendedBy.push(piece);
+                } else {
+                    piece._attacking.push(target);
+                    target._attackedBy.push(piece);
+                }
+            });
+        });
+
+        this._computeLineMotifs(pieces);
+        this._pawnStructure = this._analyzePawns(pieces);
+
+        this.relationsDirty = false;
+    }
+
+    /**
+     * Set doubled, isolated, passed, backward, connected and candidate status on every pawn,
+     * and summarize the structure for each side.
+     *
+     * @returns {Object} For white and black:
+     *      islands: groups of adjacent files holding that side's pawns, e.g. [["a", "b"], ["e", "f", "g", "h"]]
+     *      halfOpenFiles: files with no pawns of that side, but at least one enemy pawn
+     *      doubled, isolated, passed, backward, connected, candidate: squares of pawns with that status
+     */
+    analyzePawnStructure() {
+        this.ensureRelations();
+
+        return this._pawnStructure;
+    }
+
+    /**
+     * @param {Piece[]} pieces
+     * @returns {Object} See analyzePawnStructure
+     */
+    _analyzePawns(pieces) {
+
+        let files = "abcdefgh";
+        let pawns = pieces.filter( (piece) => piece.type === Piece.types.PAWN );
+        let summary = {};
+
+        // Ranks counted from each side's own point of view, so "ahead" is always higher
+        let relativeRank = (pawn) => pawn.color === Piece.colors.WHITE ? pawn.point.rank : 7 - pawn.point.rank;
+
+        let isAdjacent = (a, b) => Math.abs(a.point.file - b.point.file) === 1;
+
+        pawns.forEach( (pawn) => {
+
+            let rank = relativeRank(pawn);
+            let file = pawn.point.file;
+            let own = pawns.filter( (p) => p !== pawn && p.color === pawn.color );
+            let enemy = pawns.filter( (p) => p.color !== pawn.color );
+            let neighbours = own.filter( (p) => isAdjacent(p, pawn) );
+
+            // Enemy pawns are compared in our own frame of reference, so flip their rank
+            let enemyAhead = enemy.filter( (p) => 7 - relativeRank(p) > rank );
+            let blockersOnFile = enemyAhead.filter( (p) => p.point.file === file );
+            let sentries = enemyAhead.filter( (p) => isAdjacent(p, pawn) );
+            let helpers = neighbours.filter( (p) => relativeRank(p) <= rank );
+
+            // Square ahead is controlled if an enemy pawn stands diagonally two ranks ahead
+            let stopControlled = sentries.some( (p) => 7 - relativeRank(p) === rank + 2 );
+
+            let status = pawn._structure;
+            status.doubled = own.some( (p) => p.point.file === file );
+            status.isolated = neighbours.length === 0;
+            status.passed = blockersOnFile.length === 0 && sentries.length === 0;
+            status.connected = neighbours.some( (p) => Math.abs(relativeRank(p) - rank) <= 1 );
+            status.backward = !status.isolated && !status.passed && helpers.length === 0 && stopControlled;
+            status.candidate = !status.passed && blockersOnFile.length === 0 && helpers.length >= sentries.length;
+        });
+
+        [Piece.colors.WHITE, Piece.colors.BLACK].forEach( (color) => {
+
+            let own = pawns.filter( (p) => p.color === color );
+            let enemy = pawns.filter( (p) => p.color !== color );
+            let hasPawn = (list, f) => list.some( (p) => p.point.file === f );
+            let islands = [];
+            let island = null;
+
+            for (let f = 0; f < 8; f++) {
+                if (hasPawn(own, f)) {
+                    if (!island) islands.push(island = []);
+                    island.push(files[f]);
+                } else {
+                    island = null;
+                }
+            }
+
+            let squaresWith = (key) => own.filter( (p) => p._structure[key] ).map( (p) => p.square );
+
+            summary[color] = {
+                islands: islands,
+                halfOpenFiles: files.split("").filter( (f, i) => !hasPawn(own, i) && hasPawn(enemy, i) ),
+                doubled: squaresWith("doubled"),
+                isolated: squaresWith("isolated"),
+                passed: squaresWith("passed"),
+                backward: squaresWith("backward"),
+                connected: squaresWith("connected"),
+                candidate: squaresWith("candidate")
+            };
+        });
+
+        return summary;
+    }
+
+    /**
+     * Look along each slider's lines for two enemy pieces in a row.
+     *
+     *      Pin: the piece behind is the king (absolute) or worth more than the front piece (relative)
+     *      Skewer: the front piece is the king, or worth more than the piece behind
+     *
+     * @param {Piece[]} pieces
+     */
+    _computeLineMotifs(pieces) {
+
+        this._pins = [];
+        this._skewers = [];
+
+        pieces.forEach( (slider) => {
+
+            this._sliderLines(slider).forEach( (line) => {
+
+                let occupants = line.map( (pt) => this.getPieceAtPoint(pt) ).filter( (pc) => pc );
+                let front = occupants[0];
+                let behind = occupants[1];
+
+                if (!front || !behind || front.color === slider.color || behind.color === slider.color) return;
+
+                if (behind.isKing || behind.value > front.value) {
+                    let pin = { pinner: slider, pinned: front, pinnedTo: behind, isAbsolute: behind.isKing };
+                    this._pins.push(pin);
+
+                    // An absolute pin matters more than any relative one
+                    if (!front._pinnedTo || !front._pinnedTo.isKing) {
+                        front._pinnedBy = slider;
+                        front._pinnedTo = behind;
+                    }
+                }
+
+                if (front.isKing || front.value > behind.value) {
+                    this._skewers.push({ skewerer: slider, front: front, behind: behind, isCheck: front.isKing });
+                }
+            });
+        });
+    }
+
+    /**
+     * Lines a bishop, rook or queen slides along, each running outward from its square
+     *
+     * @param {Piece} piece
+     * @returns {Point[][]} Empty for pieces that don't slide
+     */
+    _sliderLines(piece) {
+
+        let lines = [];
+
+        if (piece.type === Piece.types.ROOK || piece.type === Piece.types.QUEEN) {
+            lines = lines.concat(piece.getStraightLines());
+        }
+
+        if (piece.type === Piece.types.BISHOP || piece.type === Piece.types.QUEEN) {
+            lines = lines.concat(piece.getDiagonals());
+        }
+
+        return lines;
+    }
+
+    /**
+     * Pins made by the given color's bishops, rooks and queens
+     *
+     * @param {String} color Side doing the pinning
+     * @returns {Object[]} pinner, pinned, pinnedTo and isAbsolute for each pin
+     */
+    findPins(color) {
+        this.ensureRelations();
+
+        return this._pins.filter( (pin) => pin.pinner.color === color );
+    }
+
+    /**
+     * Skewers made by the given color's bishops, rooks and queens: a valuable piece (or the king)
+     * attacked along a line, with a lesser enemy piece behind it that's exposed when it moves
+     *
+     * @param {String} color Side doing the skewering
+     * @returns {Object[]} skewerer, front, behind and isCheck for each skewer
+     */
+    findSkewers(color) {
+        this.ensureRelations();
+
+        return this._skewers.filter( (skewer) => skewer.skewerer.color === color );
+    }
+
+    /**
+     * Recompute piece relations only if the position changed since they were last computed
+     */
+    ensureRelations() {
+        if (this.relationsDirty) this.computeRelations();
+    }
+
+    /**
+     * Forks by the given color: pieces attacking two or more worthwhile targets at once.
+     *
+     * A target is worthwhile if it's the king (check), worth more than the forking piece,
+     * or undefended. Both forks already on the board and legal moves that would create
+     * one are returned.
+     *
+     * @param {String} color Side doing the forking
+     * @returns {Object[]} For each fork:
+     *      piece: the forking piece
+     *      move: the move creating the fork, or null if it's already on the board
+     *      targets: the forked pieces
+     *      isCheck: whether the king is one of the targets
+     *      winsMaterial: whether material is still won once the opponent replies
+     */
+    findForks(color) {
+
+        let forks = [];
+
+        this.pieces.filter( (piece) => piece.color === color ).forEach( (piece) => {
+            let fork = this._getFork(piece);
+            if (fork) forks.push(fork);
+        });
+
+        this.getLegalMoves(color).forEach( (move) => {
+
+            this.makeMove(move);
+
+            // A promoted pawn forks as its new piece, and castling can fork with the rook
+            let moved = [this.getPieceAtPoint(move.toPoint)];
+
+            if (move.isCastling) {
+                moved.push(this.getPieceAtSquare(Board.castlingFiles[move.castlingSide].rookTo + move.toSquare[1]));
+            }
+
+            moved.forEach( (piece) => {
+                let fork = this._getFork(piece);
+                if (fork) {
+                    fork.move = move;
+                    forks.push(fork);
+                }
+            });
+
+            this.unmakeMove();
+        });
+
+        return forks;
+    }
+
+    /**
+     * Fork made by one piece in the current position, if any.
+     * Only direct attacks count: a target behind another piece, even a friendly one, isn't forked.
+     *
+     * @param {Piece} piece
+     * @returns {Object|null}
+     */
+    _getFork(piece) {
+
+        let targets = this._directTargets(piece).filter( (target) => this._isWorthwhileTarget(piece, target) );
+
+        if (targets.length < 2) return null;
+
+        return {
+            piece: piece,
+            move: null,
+            targets: targets,
+            isCheck: targets.some( (target) => target.isKing ),
+            winsMaterial: this._forkWinsMaterial(piece, targets)
+        };
+    }
+
+    /**
+     * Enemy pieces a piece attacks directly, leaving out x-rays through other pieces
+     *
+     * @param {Piece} piece
+     * @returns {Piece[]}
+     */
+    _directTargets(piece) {
+        return this.getAttackedPoints(piece)
+            .map( (point) => this.getPieceAtPoint(point) )
+            .filter( (target) => target && target.color !== piece.color );
+    }
+
+    /**
+     * Whether attacking a piece is a real threat: it's the king, worth more than the attacker, or undefended
+     *
+     * @param {Piece} attacker
+     * @param {Piece} target
+     * @returns {Boolean}
+     */
+    _isWorthwhileTarget(attacker, target) {
+        return target.isKing || target.value > attacker.value || !target.isDefended;
+    }
+
+    /**
+     * Estimate whether a fork nets material once the opponent has replied.
+     *
+     * The opponent can capture the forking piece if the exchange on its square doesn't lose
+     * them material (an even trade is enough to end the fork); otherwise they save their most
+     * valuable target (or must deal with check), and we take the best of the rest.
+     *
+     * @param {Piece} piece
+     * @param {Piece[]} targets
+     * @returns {Boolean}
+     */
+    _forkWinsMaterial(piece, targets) {
+
+        let attacker = this._leastValuable(piece.attackedBy);
+
+        if (attacker && this._exchange(piece.point, attacker, piece.value, attacker.value) >= 0) return false;
+
+        let gains = targets.filter( (target) => !target.isKing ).map( (target) => {
+            return target.isDefended ? target.value - piece.value : target.value;
+        }).sort( (a, b) => b - a );
+
+        let isCheck = targets.some( (target) => target.isKing );
+        let gain = isCheck ? gains[0] : gains[1];
+
+        return gain > 0;
+    }
+
+    /**
+     * Static exchange evaluation of a move: material won or lost (in pawns) by the mover
+     * once all captures and recaptures on the destination square have been played out,
+     * each side capturing with its least valuable piece and free to stop when it suits them.
+     * X-rays are included, since used attackers are lifted off the board as we go.
+     *
+     * Pins are not considered.
+     *
+     * @param {Move} move
+     * @returns {Number} Positive if the move wins material
+     */
+    see(move) {
+
+        let captured = move.captured ? move.captured.value : 0;
+        let onSquare = move.piece.value;
+
+        if (move.promotion) {
+            captured += Piece.values[move.promotion] - move.piece.value;
+            onSquare = Piece.values[move.promotion];
+        }
+
+        return this._exchange(move.toPoint, move.piece, captured, onSquare);
+    }
+
+    /**
+     * Static exchange evaluation of capturing whatever stands on a square
+     *
+     * @param {String} square
+     * @returns {Number} Material the opponent of the piece there can win by capturing it. 0 if nothing
+     */
+    seeSquare(square) {
+
+        let target = this.getPieceAtSquare(square);
+
+        if (!target) return 0;
+
+        let enemy = Piece.opposite(target.color);
+        let attacker = this._leastValuable(this.getAttackers(square, enemy));
+
+        if (!attacker) return 0;
+
+        return Math.max(0, this._exchange(target.point, attacker, target.value, attacker.value));
+    }
+
+    /**
+     * Play out the capture sequence on a square with a swap list, then work back
+     * from the end to find the best point for each side to stop.
+     *
+     * @param {Point} point Square the exchange happens on
+     * @param {Piece} first Piece making the first capture (or move)
+     * @param {Number} firstGain Value of what the first move captures
+     * @param {Number} onSquare Value of the piece left on the square after the first move
+     * @returns {Number}
+     */
+    _exchange(point, first, firstGain, onSquare) {
+
+        let target = indexOf(point);
+        let gain = [firstGain];
+        let removed = [first];
+        let side = Piece.opposite(first.color);
+        let d = 0;
+
+        this._lift(first);
+
+        while (true) {
+
+            let attacker = this._leastValuable(this._attackersOf(target, side));
+
+            if (!attacker) break;
+
+            // What this side has won if it captures here, before any recapture
+            d++;
+            gain[d] = onSquare - gain[d - 1];
+
+            this._lift(attacker);
+            removed.push(attacker);
+
+            onSquare = attacker.value;
+            side = Piece.opposite(side);
+        }
+
+        removed.forEach( (piece) => this._drop(piece) );
+
+        // Each side either stops, or continues if that's better for it
+        while (d > 0) {
+            gain[d - 1] = -Math.max(-gain[d - 1], gain[d]);
+            d--;
+        }
+
+        // Avoid returning -0
+        return gain[0] || 0;
+    }
+
+    /**
+     * @param {Piece[]} pieces
+     * @returns {Piece|null}
+     */
+    _leastValuable(pieces) {
+        return pieces.reduce( (least, piece) => (!least || piece.value < least.value) ? piece : least, null );
+    }
+
+    /**
+     * Enemy pieces that the given color has trapped, or can trap with its next move.
+     *
+     * A piece is trapped when it can be won (en prise by exchange evaluation) and none of
+     * its moves reaches safety (see isPieceTrapped). Kings and pawns are not considered.
+     *
+     * @param {String} color Side doing the trapping
+     * @returns {Object[]} piece: the trapped piece, move: the move that traps it, or null if already trapped
+     */
+    findTrappedPieces(color) {
+
+        let enemy = Piece.opposite(color);
+        let trapped = [];
+
+        let isLost = (piece) => this.isPieceTrapped(piece, true);
+
+        let candidates = () => this.pieces.filter( (piece) => {
+            return piece.color === enemy && !piece.isKing && piece.type !== Piece.types.PAWN;
+        });
+
+        candidates().filter(isLost).forEach( (piece) => trapped.push({ piece: piece, move: null }) );
+
+        let alreadyTrapped = trapped.map( (t) => t.piece );
+
+        this.getLegalMoves(color).forEach( (move) => {
+
+            // Moves that just give material away don't count as setting a trap
+            if (this.see(move) < 0) return;
+
+            this.makeMove(move);
+
+            candidates().forEach( (piece) => {
+                if (!alreadyTrapped.includes(piece) && isLost(piece)) {
+                    trapped.push({ piece: piece, move: move });
+                }
+            });
+
+            this.unmakeMove();
+        });
+
+        return trapped;
+    }
+
+    /**
+     * Whether a piece has legal moves, but every one of them loses material by exchange evaluation.
+     *
+     * While its side is in check the piece can only move to answer the check, which says
+     * nothing about its mobility. So it's judged again after each reply that leaves it where
+     * it is, and counts as trapped only if it has no safe move now and is stuck after all of them.
+     *
+     * @param {Piece} piece
+     * @param {Boolean} [mustBeEnPrise=false] Also require that it can be won, rather than just being hemmed in
+     * @returns {Boolean}
+     */
+    isPieceTrapped(piece, mustBeEnPrise = false) {
+
+        let isStuck = () => {
+            let moves = this.getLegalMovesForPiece(piece);
+
+            if (!moves.length || moves.some( (move) => this.see(move) >= 0 )) return false;
+
+            return !mustBeEnPrise || piece.isEnPrise;
+        };
+
+        if (!this.isInCheck(piece.color)) return isStuck();
+
+        if (this.getLegalMovesForPiece(piece).some( (move) => this.see(move) >= 0 )) return false;
+
+        let replies = this.getLegalMoves(piece.color).filter( (move) => move.piece !== piece );
+
+        return replies.length > 0 && replies.every( (reply) => {
+            this.makeMove(reply);
+            let stuck = isStuck();
+            this.unmakeMove();
+
+            return stuck;
+        });
+    }
+
+    /**
+     * Defensive duties of a piece:
+     *
+     *      guard: defends a friendly piece that would be lost without it
+     *      mate: guards (or blocks the way to) a square the opponent could otherwise mate on
+     *      block: stands between an enemy slider and its own king
+     *
+     * @param {Piece} defender
+     * @returns {Object[]} Each with a type (one of Board.dutyTypes) and piece, move or pinner
+     */
+    getDuties(defender) {
+
+        let duties = [];
+        let enemy = Piece.opposite(defender.color);
+
+        if (defender.pinnedTo && defender.pinnedTo.isKing) {
+            duties.push({ type: Board.dutyTypes.BLOCK, pinner: defender.pinnedBy });
+        }
+
+        // Pieces that hold on now, found before lifting the defender off the board
+        let guarded = defender.defending.filter( (piece) => {
+            return !piece.isKing && piece.isAttacked && this.seeSquare(piece.square) <= 0;
+        });
+        let coveredSquares = this.getAttackedPoints(defender).map( (pt) => pt.toAlgebraic() );
+        let matingMoves = [];
+
+        this._withoutPiece(defender, () => {
+
+            guarded.forEach( (piece) => {
+                if (this.seeSquare(piece.square) > 0) {
+                    duties.push({ type: Board.dutyTypes.GUARD, piece: piece });
+                }
+            });
+
+            this.getLegalMoves(enemy).forEach( (move) => {
+                if (!coveredSquares.includes(move.toSquare)) return;
+
+                this.makeMove(move);
+                if (this.isCheckmated(defender.color)) matingMoves.push(move);
+                this.unmakeMove();
+            });
+        });
+
+        // Only a duty if the defender being there is what stops the mate
+        matingMoves.forEach( (move) => {
+            if (!this._isMateAvailable(move)) {
+                duties.push({ type: Board.dutyTypes.MATE, square: move.toSquare, move: move });
+            }
+        });
+
+        return duties;
+    }
+
+    /**
+     * Enemy pieces the given color can exploit as overloaded: two or more duties, and a
+     * deflecting capture after which taking back leaves another duty unmet.
+     *
+     * @param {String} color Side exploiting the overload
+     * @returns {Object[]} piece: the overloaded defender, duties: its duties, deflection: the exploiting move
+     */
+    findOverloadedPieces(color) {
+
+        let overloads = [];
+        let enemy = Piece.opposite(color);
+        let defenders = this.pieces.filter( (piece) => piece.color === enemy && !piece.isKing );
+
+        defenders.forEach( (defender) => {
+
+            let duties = this.getDuties(defender);
+
+            if (duties.length < 2) return;
+
+            let deflection = this._findDeflection(defender, duties);
+
+            if (deflection) {
+                overloads.push({ piece: defender, duties: duties, deflection: deflection });
+            }
+        });
+
+        return overloads;
+    }
+
+    /**
+     * Capture a piece the defender guards, and check whether its recapture abandons another duty
+     *
+     * @param {Piece} defender
+     * @param {Object[]} duties
+     * @returns {Move|null} The deflecting capture
+     */
+    _findDeflection(defender, duties) {
+
+        let color = Piece.opposite(defender.color);
+        let guardDuties = duties.filter( (duty) => duty.type === Board.dutyTypes.GUARD );
+
+        for (let i = 0; i < guardDuties.length; i++) {
+
+            let duty = guardDuties[i];
+            let otherDuties = duties.filter( (d) => d !== duty );
+            let captures = this.getLegalMoves(color).filter( (move) => move.captured === duty.piece );
+            let move = captures.reduce( (best, m) => (!best || m.piece.value < best.piece.value) ? m : best, null );
+
+            if (!move) continue;
+
+            this.makeMove(move);
+
+            // A pinned defender can't take back at all, so the capture simply wins
+            let recapture = this.getLegalMovesForPiece(defender).find( (m) => m.toSquare === move.toSquare );
+            let works = !recapture;
+
+            if (recapture) {
+                this.makeMove(recapture);
+                works = otherDuties.some( (d) => this._isDutyBroken(d) );
+                this.unmakeMove();
+            }
+
+            this.unmakeMove();
+
+            if (works) return move;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {Object} duty
+     * @returns {Boolean} Whether the position no longer meets the duty
+     */
+    _isDutyBroken(duty) {
+        switch (duty.type) {
+            case Board.dutyTypes.GUARD:
+                return duty.piece.board === this && this.seeSquare(duty.piece.square) > 0;
+            case Board.dutyTypes.MATE:
+                return this._isMateAvailable(duty.move);
+        }
+
+        // The defender moved legally, so it can't have left its king in check
+        return false;
+    }
+
+    /**
+     * Whether a move with the same origin and destination is legal here and mates
+     *
+     * @param {Move} move
+     * @returns {Boolean}
+     */
+    _isMateAvailable(move) {
+
+        let color = move.piece.color;
+        let enemy = Piece.opposite(color);
+        let same = this.getLegalMoves(color).find( (m) => m.toUCI() === move.toUCI() );
+
+        if (!same) return false;
+
+        this.makeMove(same);
+        let isMate = this.isCheckmated(enemy);
+        this.unmakeMove();
+
+        return isMate;
+    }
+
+    /**
+     * Run a function with a piece lifted off the board, then put it back
+     *
+     * @param {Piece} piece
+     * @param {Function} fn
+     */
+    _withoutPiece(piece, fn) {
+
+        this._lift(piece);
+        this.relationsDirty = true;
+
+        try {
+            fn();
+        } finally {
+            this._drop(piece);
+            this.relationsDirty = true;
+        }
+    }
+
+    /**
+     * Discovered attacks for the given color: a bishop, rook or queen whose line to an enemy
+     * piece is blocked only by one of its own pieces, and the moves of that piece that unveil it.
+     *
+     * Unveiling moves that attack something themselves are flagged as double attacks
+     * (or double checks, when both the slider and the moved piece give check).
+     *
+     * @param {String} color Side making the discovered attack
+     * @returns {Object[]} For each masked line:
+     *      slider: the piece whose attack is discovered
+     *      front: the piece in the way
+     *      target: the enemy piece on the line
+     *      isCheck: whether the target is the king
+     *      moves: { move, attacks, isDoubleAttack, isDoubleCheck } for each unveiling move of front
+     */
+    findDiscoveredAttacks(color) {
+
+        let discoveries = [];
+
+        this.pieces.filter( (piece) => piece.color === color ).forEach( (slider) => {
+
+            this._sliderLines(slider).forEach( (line) => {
+
+                // Walk the line looking for the blocker, then the piece behind it
+                let occupied = line.filter( (pt) => this.isPointOccupied(pt) );
+                let front = occupied[0] ? this.getPieceAtPoint(occupied[0]) : null;
+                let target = occupied[1] ? this.getPieceAtPoint(occupied[1]) : null;
+
+                if (!front || !target || front.color !== color || target.color === color) return;
+
+                // Moving along the line, short of the target, doesn't unveil anything,
+                // and taking the target is just a capture
+                let between = slider.point.getPointsBetween(target.point).map( (pt) => pt.toAlgebraic() );
+                let moves = this.getLegalMovesForPiece(front)
+                    .filter( (move) => !between.includes(move.toSquare) && move.toSquare !== target.square )
+                    .map( (move) => this._describeDiscovery(move, target) );
+
+                if (!moves.length) return;
+
+                discoveries.push({
+                    slider: slider,
+                    front: front,
+                    target: target,
+                    isCheck: target.isKing,
+                    moves: moves
+                });
+            });
+        });
+
+        return discoveries;
+    }
+
+    /**
+     * Play an unveiling move to see what the moved piece attacks on its own
+     *
+     * @param {Move} move
+     * @param {Piece} target Target of the discovered attack
+     * @returns {Object}
+     */
+    _describeDiscovery(move, target) {
+
+        this.makeMove(move);
+
+        let moved = this.getPieceAtPoint(move.toPoint);
+        let attacks = this._directTargets(moved).filter( (piece) => this._isWorthwhileTarget(moved, piece) );
+        let givesCheck = attacks.some( (piece) => piece.isKing );
+
+        this.unmakeMove();
+
+        return {
+            move: move,
+            attacks: attacks,
+            isDoubleAttack: attacks.length > 0,
+            isDoubleCheck: target.isKing && givesCheck
+        };
+    }
+
+    /**
+     * Count leaf positions of the legal move tree to the given depth.
+     * Compared against published counts, this checks the move generator and make/unmake.
+     *
+     * @param {Number} depth
+     * @returns {Number}
+     */
+    perft(depth) {
+
+        if (depth === 0) return 1;
+
+        let moves = this.getLegalMoves();
+
+        // Leaves don't need to be played to be counted
+        if (depth === 1) return moves.length;
+
+        let nodes = 0;
+
+        moves.forEach( (move) => {
+            this.makeMove(move);
+            nodes += this.perft(depth - 1);
+            this.unmakeMove();
+        });
+
+        return nodes;
+    }
+
+    /**
+     * perft split by first move, for finding which move a count goes wrong under
+     *
+     * @param {Number} depth At least 1
+     * @returns {Object} Leaf count for each legal move, keyed by UCI notation
+     */
+    divide(depth) {
+
+        let counts = {};
+
+        this.getLegalMoves().forEach( (move) => {
+            this.makeMove(move);
+            counts[move.toUCI()] = this.perft(depth - 1);
+            this.unmakeMove();
+        });
+
+        return counts;
+    }
+
+    /**
+     * Search for a forced mate in up to n moves for the side to move.
+     * Mates are proven: every defence along the way is refuted.
+     *
+     * @param {Number} n Maximum number of moves (by the mating side)
+     * @param {Object} [options]
+     * @param {Number} [options.maxNodes] Give up after searching this many positions
+     * @param {Number} [options.timeLimit] Give up after this many milliseconds
+     * @param {Function} [options.shouldStop] Polled during the search; return true to cancel
+     * @param {TranspositionTable} [options.table] Share results between searches
+     * @returns {Object} status ("mate", "none" or "aborted"), moves (N of the shortest mate),
+     *                   lines (SAN, one per mating first move) and nodes searched
+     */
+    findMate(n, options = {}) {
+        return new MateSearch(this, options).run(n);
+    }
+
+    /**
+     * King is currently in check
+     *
+     * @param {String} color
+     * @returns {Piece[]|null} The checking pieces, or null if not in check
+     */
+    isInCheck(color) {
+        let checkers = this.getCheckers(color);
+
+        return checkers.length ? checkers : null;
+    }
+
+    /**
+     * King is in check from two sources (triple-check and higher is impossible)
+     *
+     * @param {String} color
+     * @returns {Piece[]|null} The two checking pieces, or null if not in double check
+     */
+    isInDoubleCheck(color) {
+        let checkers = this.getCheckers(color);
+
+        return checkers.length >= 2 ? checkers : null;
+    }
+
+    /**
+     * Side is checkmated
+     *
+     * If single check:
+     *      * See if pieces can capture the attacker.
+     *      * See if pieces can block attacker
+     *      * Check king moves for safe squares
+     *      * If no captures, blocks, or safe squares: checkmate
+     * If double check:
+     *      * King must move. Only need to check potential king move squares. If none are safe, checkmate.
+     *
+     * Pinned pieces, and the king capturing a defended attacker, are ruled out by legal move generation.
+     *
+     * @param {String} color
+     * @returns {Boolean}
+     */
+    isCheckmated(color) {
+
+        let checkers = this.getCheckers(color);
+
+        if (!checkers.length) return false;
+
+        let king = this.getKing(color);
+
+        if (this.getLegalMovesForPiece(king).length) return false;
+
+        if (checkers.length > 1) return true;
+
+        // Capturing the checker, or interposing on the line between it and the king
+        let checker = checkers[0];
+        let targets = [checker.square];
+
+        if ([Piece.types.BISHOP, Piece.types.ROOK, Piece.types.QUEEN].includes(checker.type)) {
+            targets = targets.concat(king.point.getPointsBetween(checker.point).map( (pt) => pt.toAlgebraic() ));
+        }
+
+        let defenders = this.pieces.filter( (piece) => piece.color === color && !piece.isKing );
+
+        return !defenders.some( (piece) => {
+            return this.getLegalMovesForPiece(piece).some( (move) => {
+                return targets.includes(move.toSquare) || move.captured === checker;
+            });
+        });
+    }
+
+    /**
+     * Side has no legal moves, and is not in check.
+     * 
+     * NOTE: A side is only stalemated once it's their turn to move.
+     *      This function only determines that the position is a stalemated position.
+     *      getGameResult combines it with the side to move from this.state.
+     *      
+     * @param {String} color
+     * @returns {Boolean}
+     */
+    isPseudoStalemated(color) {
+        return !this.isInCheck(color) && this.getLegalMoves(color).length === 0;
+    }
+
+    /**
+     * Whether the game is over by checkmate, stalemate or a draw that needs no claim
+     * (see getDrawStatus), for the side to move
+     *
+     * @returns {Object} status (one of Board.gameStatuses), winner (color or null)
+     *                   and result as written in PGN ("1-0", "0-1", "1/2-1/2" or "*")
+     */
+    getGameResult() {
+
+        let color = this.state.activeColor;
+        let enemy = Piece.opposite(color);
+
+        if (this.isCheckmated(color)) {
+            return {
+                status: Board.gameStatuses.CHECKMATE,
+                winner: enemy,
+                result: enemy === Piece.colors.WHITE ? "1-0" : "0-1"
+            };
+        }
+
+        if (this.isPseudoStalemated(color)) {
+            return { status: Board.gameStatuses.STALEMATE, winner: null, result: "1/2-1/2" };
+        }
+
+        if (this.getDrawStatus().isDraw) {
+            return { status: Board.gameStatuses.DRAW, winner: null, result: "1/2-1/2" };
+        }
+
+        return { status: Board.gameStatuses.ONGOING, winner: null, result: "*" };
+    }
+
+    /**
+     * Draws by rule in the current position.
+     *
+     * Some end the game by themselves: fivefold repetition, seventy-five moves each without
+     * a capture or pawn move, and too little material left for either side to mate.
+     * Others only entitle a player to claim the draw: threefold repetition and fifty moves.
+     * A checkmate on the move that completes the fifty or seventy-five still counts.
+     *
+     * Repetitions are counted from this board's move history (see getRepetitionCount),
+     * so a board set up from FEN only knows about the moves played on it since.
+     *
+     * @returns {Object}
+     *      isDraw: the game is drawn, without a claim
+     *      canClaim: the fifty-move rule or threefold repetition applies, so a draw can be claimed
+     *      reasons: the rules that apply, from Board.drawReasons
+     */
+    getDrawStatus() {
+
+        let reasons = [];
+        let clock = this.state.halfmoveClock;
+        let repetitions = this.getRepetitionCount();
+        let automatic = [Board.drawReasons.SEVENTY_FIVE_MOVES, Board.drawReasons.FIVEFOLD_REPETITION, Board.drawReasons.INSUFFICIENT_MATERIAL];
+
+        // The clock counts halfmoves, so fifty moves each is 100
+        if (clock >= 100 && !this.isCheckmated(this.state.activeColor)) {
+            if (clock >= 150) reasons.push(Board.drawReasons.SEVENTY_FIVE_MOVES);
+            reasons.push(Board.drawReasons.FIFTY_MOVES);
+        }
+
+        if (repetitions >= 5) reasons.push(Board.drawReasons.FIVEFOLD_REPETITION);
+        if (repetitions >= 3) reasons.push(Board.drawReasons.THREEFOLD_REPETITION);
+
+        if (this.hasInsufficientMaterial()) reasons.push(Board.drawReasons.INSUFFICIENT_MATERIAL);
+
+        return {
+            isDraw: reasons.some( (reason) => automatic.includes(reason) ),
+            canClaim: reasons.some( (reason) => !automatic.includes(reason) ),
+            reasons: reasons
+        };
+    }
+
+    /**
+     * Neither side has enough material to mate, however badly the other plays:
+     * king against king, king and one bishop or knight against king, or nothing
+     * but bishops besides the kings, all on squares of the same color.
+     *
+     * @returns {Boolean}
+     */
+    hasInsufficientMaterial() {
+
+        let others = this.pieces.filter( (piece) => !piece.isKing );
+        let isMinor = (piece) => piece.type === Piece.types.BISHOP || piece.type === Piece.types.KNIGHT;
+        let squareColor = (piece) => (piece.point.file + piece.point.rank) % 2;
+
+        if (others.length === 0) return true;
+
+        if (others.length === 1 && isMinor(others[0])) return true;
+
+        return others.every( (piece) => {
+            return piece.type === Piece.types.BISHOP && squareColor(piece) === squareColor(others[0]);
+        });
+    }
 
     /**
      * @returns {Boolean}
@@ -353,9 +2031,76 @@ class Board {
     isPointOccupied(point) {
         if (!point) return false;
 
-        let pieceOnSquare = this.getPieceAtSquare(point.toAlgebraic());
+        return !!this.getPieceAtPoint(point);
+    }
+
+    // Point-based move helpers from before the 0x88 mailbox. Move generation no longer uses
+    // them; they stay as public API for outside callers, and ignore castling, pins and checks.
+
+    /**
+     * Check for forward moves (1 or 2), possible attacks and en passant
+     *
+     * @param {Pawn} piece
+     * @returns {Point[]}
+     */
+    getPawnPseudoMoves(piece) {
+
+        let validPoints = [];
+        let attackPoints = [];
+        // getPawnAttackPoints
+
+        // Can they move forward one?
+        //      If there is a square in front of them, and it's not occupied
+        let pointAhead = piece.getPointAhead();
+        let isPointAheadOccupied = this.isPointOccupied(pointAhead);
+
+        if (pointAhead && !isPointAheadOccupied) {
+            validPoints = validPoints.concat(pointAhead);
+        }
+
+        // Can only move forward two in starting position
+        //      (if they can't move one, don't bother to check if they can move two)
+        if (piece.isOnStartingSquare() && !isPointAheadOccupied) {
+            let pointTwoAhead = piece.getPointTwoAhead();
+            if (pointTwoAhead && !this.isPointOccupied(pointTwoAhead)) {
+                validPoints = validPoints.concat(pointTwoAhead);
+            }
+        }
+
+        attackPoints = piece.getPawnAttackPoints();
+        validPoints = validPoints.concat(this.findCaptureablePoints(attackPoints, piece.color));
+
+        // En passant: the square is empty, the pawn being captured is beside us
+        let epPoint = attackPoints.find( (pt) => pt.toAlgebraic() === this.state.enPassantSquare );
+        if (epPoint) {
+            let victim = this.getPieceAtSquare(epPoint.toAlgebraic()[0] + piece.square[1]);
+            if (victim && victim.type === Piece.types.PAWN && victim.color !== piece.color) {
+                validPoints.push(epPoint);
+            }
+        }
+
+        return validPoints;
+
+    }
+
+    /**
+     * Points in the list holding an enemy piece other than the king
+     *
+     * @param {Point[]} pointList
+     * @param {String} color Color of the capturing side
+     * @returns {Point[]}
+     */
+    findCaptureablePoints(pointList, color) {
+        let validPoints = [];
+
+        for (let i=0; i < pointList.length; i++) {
+            let pieceAtSquare = this.getPieceAtPoint(pointList[i]);
+            if (pieceAtSquare && pieceAtSquare.color !== color && !pieceAtSquare.isKing) {
+                validPoints.push(pointList[i]);
+            }
+        }
 
-        return !!pieceOnSquare;
+        return validPoints;
     }
 
     /**
@@ -372,7 +2117,7 @@ class Board {
 
         for (let i=0; i < pointList.length; i++) {
             point = pointList[i];
-            pieceOnSquare = this.getPieceAtSquare(point.toAlgebraic());
+            pieceOnSquare = this.getPieceAtPoint(point);
 
             // Valid: empty and capturable squares
             if (!pieceOnSquare || (includeCaptures && pieceOnSquare.color !== color && !pieceOnSquare.isKing)) {
@@ -385,7 +2130,7 @@ class Board {
 
     /**
      * Find points along a line that aren't blocked by the given color's own pieces
-     * Used for evaluating legal moves (bishop, rook, queen)
+     * (bishop, rook, queen)
      */
     findUnblockedPointsOnLine(lines, color) {
         let validPoints = [];
@@ -402,7 +2147,7 @@ class Board {
 
                 p = lines[i][k];
 
-                pieceOnSquare = this.getPieceAtSquare(p.toAlgebraic());
+                pieceOnSquare = this.getPieceAtPoint(p);
 
                 // Empty square? Valid pseudomove
                 if (!pieceOnSquare) {
@@ -422,20 +2167,72 @@ class Board {
     }
 
     /**
-     * Assumes well-formed FEN
+     * Load a position from FEN. The string is validated in full before the board is touched,
+     * so a bad FEN throws a FENError and leaves the current position intact.
+     *
+     * @param {String} fenString
+     * @param {Object} [options]
+     * @param {Boolean} [options.lenient=false] Fill in missing trailing fields with defaults ("w - - 0 1")
+     * @throws {FENError}
+     */
+    setPositionFromFEN(fenString, options = {}) {
+
+        let lenient = !!options.lenient;
+        let defaults = ["w", "-", "-", "0", "1"];
+        let fieldNames = Object.values(FENError.fields);
+
+        if (typeof fenString !== "string" || !fenString.trim()) {
+            throw new FENError("FEN is empty", FENError.fields.PLACEMENT);
+        }
+
+        let parts = fenString.trim().split(/\s+/);
+
+        if (parts.length > 6) {
+            throw new FENError(`Expected 6 fields, found ${parts.length}`, FENError.fields.FULLMOVE);
+        }
+
+        if (parts.length < 6) {
+            if (!lenient) {
+                throw new FENError("Field is missing", fieldNames[parts.length]);
+            }
+            parts = parts.concat(defaults.slice(parts.length - 1));
+        }
+
+        // Validate game state into a fresh object, so a failure doesn't leave us half-updated
+        let state = new GameState();
+        state.setFromFEN(parts.slice(1));
+
+        let placements = this._parseFENPlacement(parts[0]);
+
+        this.clear();
+        this.state = state;
+
+        placements.forEach( (p) => this.addPiece(p.type, p.color, p.square) );
+    }
+
+    /**
+     * Validate the piece placement field and list the pieces it describes
+     *
+     * @param {String} boardString First field of a FEN string
+     * @returns {Object[]} type, color and square of each piece
+     * @throws {FENError}
      */
-    setPositionFromFEN(fenString) {
+    _parseFENPlacement(boardString) {
 
         // black is lower-case, white is upper-case
-        // TODO: Full FEN parsing? All we care about right now is board layout
-        let parts = fenString.split(" ");
-        let boardString = parts[0];
         let rows = boardString.split("/");
+        let field = FENError.fields.PLACEMENT;
+        let placements = [];
 
         let rank, file;
         let char, str, index;
-        let color;
+        let color, type;
         let point, square;
+        let lastWasDigit;
+
+        if (rows.length !== 8) {
+            throw new FENError(`Expected 8 ranks separated by "/", found ${rows.length}`, field);
+        }
 
         for (let i = 0; i < 8; i++) {
 
@@ -443,51 +2240,340 @@ class Board {
             file = 0;
             str = rows[i];
             index = 0;
+            lastWasDigit = false;
+
+            if (!str.length) {
+                throw new FENError("Rank is empty", field, 8 - i);
+            }
 
             // Each row is a variable-length string that must be evaluated one character at a time
-            while (file <= 8 && index < str.length) {
+            while (index < str.length) {
 
                 // Look at current character in FEN row and make decision
                 char = str[index];
                 index++;
 
                 // First look for numbers indicating squares to skip
-                if (char.match(/\d/)) {
+                if (char.match(/[1-8]/)) {
+
+                    if (lastWasDigit) {
+                        throw new FENError("Consecutive digits are not allowed", field, 8 - i, char);
+                    }
+
                     file += parseInt(char);
+                    lastWasDigit = true;
+
                 } else {
 
                     // If not a number, then it's a piece. Lowercase is black
+                    type = Board.fenPieceTypes[char.toUpperCase()];
+
+                    if (!type) {
+                        throw new FENError("Not a piece letter or digit 1-8", field, 8 - i, char);
+                    }
+
                     color = char.match(/[rnbkqp]/) ? Piece.colors.BLACK : Piece.colors.WHITE;
-                    char = char.toUpperCase();
-                    point = new Point(file, rank);
+                    point = new Point(file, 7 - rank);
                     square = point.toAlgebraic();
 
-                    // Place the selected piece
-                    switch (char) {
-                        case "P":
-                            this.addPiece(Piece.types.PAWN, color, square);
-                            break;
-                        case "B":
-                            this.addPiece(Piece.types.BISHOP, color, square);
-                            break;
-                        case "N":
-                            this.addPiece(Piece.types.KNIGHT, color, square);
-                            break;
-                        case "R":
-                            this.addPiece(Piece.types.ROOK, color, square);
-                            break;
-                        case "K":
-                            this.addPiece(Piece.types.KING, color, square);
-                            break;
-                        case "Q":
-                            this.addPiece(Piece.types.QUEEN, color, square);
-                            break;
-                    }
+                    placements.push({ type: type, color: color, square: square });
 
                     file++;
+                    lastWasDigit = false;
+                }
+
+                if (file > 8) {
+                    throw new FENError("Rank describes more than 8 files", field, 8 - i, char);
+                }
+            }
+
+            if (file < 8) {
+                throw new FENError(`Rank describes only ${file} files`, field, 8 - i);
+            }
+        }
+
+        return placements;
+    }
+
+    /**
+     * Full FEN of the current position, including game state
+     *
+     * @returns {String}
+     */
+    toFEN() {
+        let rows = [];
+
+        for (let rank = 7; rank >= 0; rank--) {
+            let str = "";
+            let empty = 0;
+
+            for (let index = rank * 16; index < rank * 16 + 8; index++) {
+                let piece = this.squares[index];
+
+                if (!piece) {
+                    empty++;
+                    continue;
+                }
+                if (empty) str += empty;
+                empty = 0;
+                str += piece.fenChar;
+            }
+
+            if (empty) str += empty;
+
+            rows.push(str);
+        }
+
+        return rows.join("/") + " " + this.state.toFEN();
+    }
+
+    /**
+     * Find the legal move described by a SAN string, e.g. "Nbd7", "exd5", "O-O", "e8=Q+".
+     * Long algebraic and UCI forms ("Ng1-f3", "e2e4", "e7e8q") are accepted too.
+     * Check, mate and annotation suffixes (+ # ! ?) are ignored.
+     *
+     * @param {String} san
+     * @returns {Move} A move from getLegalMoves, for the side to move
+     * @throws {Error} If the string is malformed, ambiguous, or matches no legal move
+     */
+    parseSAN(san) {
+
+        let legalMoves = this.getLegalMoves();
+        let text = (san || "").trim().replace(/[+#!?]+$/, "").replace(/\s*e\.p\.$/, "");
+        let candidates;
+        let match;
+
+        let promotionType = (letter) => letter ? Board.fenPieceTypes[letter.toUpperCase()] : null;
+
+        if (text.match(/^(O-O|0-0)$/) || text.match(/^(O-O-O|0-0-0)$/)) {
+
+            let side = text.length > 3 ? "queenside" : "kingside";
+            candidates = legalMoves.filter( (move) => move.isCastling && move.castlingSide === side );
+
+        } else if ((match = text.match(/^([NBRQK])?([a-h][1-8])[-x]?([a-h][1-8])=?([nbrqNBRQ])?$/))) {
+
+            // Long algebraic / UCI: origin square given in full
+            let type = match[1] ? Board.fenPieceTypes[match[1]] : null;
+
+            candidates = legalMoves.filter( (move) => {
+                return move.fromSquare === match[2]
+                    && move.toSquare === match[3]
+                    && (!type || move.piece.type === type)
+                    && move.promotion === promotionType(match[4]);
+            });
+
+        } else if ((match = text.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([NBRQ]))?$/))) {
+
+            let type = match[1] ? Board.fenPieceTypes[match[1]] : Piece.types.PAWN;
+
+            candidates = legalMoves.filter( (move) => {
+                return move.piece.type === type
+                    && !move.isCastling
+                    && move.toSquare === match[4]
+                    && (!match[2] || move.fromSquare[0] === match[2])
+                    && (!match[3] || move.fromSquare[1] === match[3])
+                    && move.promotion === promotionType(match[5]);
+            });
+
+        } else {
+            throw new Error(`Can't parse move "${san}"`);
+        }
+
+        if (!candidates.length) {
+            throw new Error(`Illegal move "${san}" for ${this.state.activeColor} in position ${this.toFEN()}`);
+        }
+
+        if (candidates.length > 1) {
+            let options = candidates.map( (move) => move.toSAN(this) ).join(", ");
+            throw new Error(`Ambiguous move "${san}", could be any of: ${options}`);
+        }
+
+        return candidates[0];
+    }
+
+    /**
+     * Look for things that make the position impossible to reach in a real game.
+     * Syntax is already guaranteed by setPositionFromFEN; this checks the chess.
+     *
+     * @returns {String[]} Description of each problem found. Empty if the position is legal
+     */
+    validatePosition() {
+
+        let issues = [];
+        let colors = [Piece.colors.WHITE, Piece.colors.BLACK];
+        let active = this.state.activeColor;
+        let inactive = Piece.opposite(active);
+
+        // Initial piece counts. Anything above these must have come from a promotion
+        let initialCounts = { queen: 1, rook: 2, bishop: 2, knight: 2 };
+
+        colors.forEach( (color) => {
+
+            let own = this.pieces.filter( (piece) => piece.color === color );
+            let count = (type) => own.filter( (piece) => piece.type === type ).length;
+            let kings = count(Piece.types.KING);
+            let pawns = count(Piece.types.PAWN);
+            let promotions = 0;
+
+            if (kings === 0) issues.push(`${color} has no king`);
+            if (kings > 1) issues.push(`${color} has ${kings} kings`);
+
+            if (pawns > 8) issues.push(`${color} has ${pawns} pawns`);
+
+            if (own.length > 16) issues.push(`${color} has ${own.length} pieces`);
+
+            own.filter( (piece) => piece.type === Piece.types.PAWN ).forEach( (pawn) => {
+                let rank = pawn.square[1];
+                if (rank === "1" || rank === "8") {
+                    issues.push(`${color} pawn on ${pawn.square} (pawns can't stand on the 1st or 8th rank)`);
                 }
+            });
 
+            Object.keys(initialCounts).forEach( (type) => {
+                promotions += Math.max(0, count(type) - initialCounts[type]);
+            });
+
+            if (promotions > 8 - Math.min(pawns, 8)) {
+                issues.push(`${color} has at least ${promotions} promoted pieces but only ${8 - Math.min(pawns, 8)} missing pawns`);
             }
+        });
+
+        // Can't leave the opponent in check and then hand the move back to them
+        if (this.isInCheck(inactive)) {
+            issues.push(`${inactive} is in check but it is ${active}'s turn to move`);
+        }
+
+        issues = issues.concat(this._validateCastlingRights(), this._validateEnPassantSquare());
+
+        return issues;
+    }
+
+    /**
+     * Castling rights require king and rook still on their starting squares
+     *
+     * @returns {String[]}
+     */
+    _validateCastlingRights() {
+
+        let issues = [];
+        let homes = {
+            white: { rank: "1", kingside: "h", queenside: "a" },
+            black: { rank: "8", kingside: "h", queenside: "a" }
+        };
+
+        Object.keys(homes).forEach( (color) => {
+            ["kingside", "queenside"].forEach( (side) => {
+
+                if (!this.state.castlingRights[color][side]) return;
+
+                let king = this.getPieceAtSquare("e" + homes[color].rank);
+                let rookSquare = homes[color][side] + homes[color].rank;
+                let rook = this.getPieceAtSquare(rookSquare);
+
+                if (!king || !king.isKing || king.color !== color) {
+                    issues.push(`${color} has ${side} castling rights but no king on e${homes[color].rank}`);
+                }
+
+                if (!rook || rook.type !== Piece.types.ROOK || rook.color !== color) {
+                    issues.push(`${color} has ${side} castling rights but no rook on ${rookSquare}`);
+                }
+            });
+        });
+
+        return issues;
+    }
+
+    /**
+     * The en passant square must be behind a pawn of the side that just moved,
+     * with both it and the pawn's starting square empty
+     *
+     * @returns {String[]}
+     */
+    _validateEnPassantSquare() {
+
+        let issues = [];
+        let square = this.state.enPassantSquare;
+
+        if (!square) return issues;
+
+        // White to move means black just moved, so the square is on the 6th rank
+        let whiteToMove = this.state.activeColor === Piece.colors.WHITE;
+        let moverColor = whiteToMove ? Piece.colors.BLACK : Piece.colors.WHITE;
+        let file = square[0];
+        let expectedRank = whiteToMove ? "6" : "3";
+        let pawnSquare = file + (whiteToMove ? "5" : "4");
+        let fromSquare = file + (whiteToMove ? "7" : "2");
+        let pawn = this.getPieceAtSquare(pawnSquare);
+
+        if (square[1] !== expectedRank) {
+            issues.push(`en passant square ${square} should be on rank ${expectedRank} with ${this.state.activeColor} to move`);
+            return issues;
+        }
+
+        if (!pawn || pawn.type !== Piece.types.PAWN || pawn.color !== moverColor) {
+            issues.push(`en passant square ${square} has no ${moverColor} pawn on ${pawnSquare} that could have just moved two`);
+        }
+
+        if (this.squareIsOccupied(square) || this.squareIsOccupied(fromSquare)) {
+            issues.push(`en passant square ${square} requires ${square} and ${fromSquare} to be empty`);
+        }
+
+        return issues;
+    }
+
+    /**
+     * Files involved in castling on each side, for either color.
+     *      empty: squares that must be unoccupied
+     *      kingPath: squares the king stands on, passes through or lands on; none may be attacked
+     */
+    static get castlingFiles() {
+        return {
+            kingside: { rookFrom: "h", rookTo: "f", kingTo: "g", empty: ["f", "g"], kingPath: ["e", "f", "g"] },
+            queenside: { rookFrom: "a", rookTo: "d", kingTo: "c", empty: ["b", "c", "d"], kingPath: ["e", "d", "c"] }
+        }
+    }
+
+    // Pieces a pawn can promote to, in the order the moves are generated
+    static get promotionTypes() {
+        return [Piece.types.QUEEN, Piece.types.ROOK, Piece.types.BISHOP, Piece.types.KNIGHT];
+    }
+
+    static get dutyTypes() {
+        return {
+            GUARD: "guard",
+            MATE: "mate",
+            BLOCK: "block"
+        }
+    }
+
+    static get gameStatuses() {
+        return {
+            CHECKMATE: "checkmate",
+            STALEMATE: "stalemate",
+            DRAW: "draw",
+            ONGOING: "ongoing"
+        }
+    }
+
+    static get drawReasons() {
+        return {
+            FIFTY_MOVES: "fiftyMoves",
+            SEVENTY_FIVE_MOVES: "seventyFiveMoves",
+            THREEFOLD_REPETITION: "threefoldRepetition",
+            FIVEFOLD_REPETITION: "fivefoldRepetition",
+            INSUFFICIENT_MATERIAL: "insufficientMaterial"
+        }
+    }
+
+    // FEN letter (upper-cased) to piece type
+    static get fenPieceTypes() {
+        return {
+            P: Piece.types.PAWN,
+            B: Piece.types.BISHOP,
+            N: Piece.types.KNIGHT,
+            R: Piece.types.ROOK,
+            K: Piece.types.KING,
+            Q: Piece.types.QUEEN
         }
     }
 }
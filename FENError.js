@@ -0,0 +1,42 @@
+/**
+ * Thrown when a FEN string can't be parsed.
+ *
+ * Carries which field was at fault, and where applicable the rank and character,
+ * so callers importing positions in bulk can report exactly what was wrong.
+ */
+class FENError extends Error {
+
+    /**
+     * @param {String} description What was wrong
+     * @param {String} field Name of the FEN field at fault, e.g. "piece placement"
+     * @param {Number|null} rank Rank (1-8) at fault, for piece placement errors
+     * @param {String|null} character Offending character, if a single one is to blame
+     */
+    constructor(description, field, rank = null, character = null) {
+
+        let location = field;
+        if (rank !== null) location += `, rank ${rank}`;
+        if (character !== null) location += `, character "${character}"`;
+
+        super(`Invalid FEN (${location}): ${description}`);
+
+        this.name = "FENError";
+        this.field = field;
+        this.rank = rank;
+        this.character = character;
+    }
+
+    // Field names as used in error messages
+    static get fields() {
+        return {
+            PLACEMENT: "piece placement",
+            ACTIVE_COLOR: "active color",
+            CASTLING: "castling availability",
+            EN_PASSANT: "en passant square",
+            HALFMOVE: "halfmove clock",
+            FULLMOVE: "fullmove number"
+        }
+    }
+}
+
+module.exports = FENError;
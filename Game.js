@@ -0,0 +1,117 @@
+let Board = require("./Board.js");
+let GameNode = require("./GameNode.js");
+
+/**
+ * A game as a tree of moves: tag pairs, a starting position, the mainline and any variations.
+ *
+ * Each node stores the FEN after its move, so any point in the tree can be
+ * turned into a Board without replaying from the start.
+ */
+class Game {
+
+    /**
+     * @param {String} [startFEN] Defaults to the standard starting position
+     */
+    constructor(startFEN = Game.initialFEN) {
+
+        // Tag pairs, in the order they should be written
+        this.tags = {};
+
+        this.root = new GameNode(null);
+        this.root.fen = startFEN;
+    }
+
+    /**
+     * @returns {String}
+     */
+    get startFEN() {
+        return this.root.fen;
+    }
+
+    /**
+     * "1-0", "0-1", "1/2-1/2" or "*" for an unfinished game
+     * @returns {String}
+     */
+    get result() {
+        return this.tags.Result || "*";
+    }
+
+    set result(value) {
+        this.tags.Result = value;
+    }
+
+    /**
+     * Nodes of the mainline, not including the root
+     * @returns {GameNode[]}
+     */
+    get mainline() {
+        let nodes = [];
+
+        for (let node = this.root.next; node; node = node.next) {
+            nodes.push(node);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Play a move from the position at a node. If the move was already played from
+     * there, the existing node is returned; otherwise it's added as the main continuation
+     * (when there is none yet) or as a new variation.
+     *
+     * @param {GameNode} node
+     * @param {String} san Move in SAN, or any form Board.parseSAN accepts
+     * @param {Board} [board] Board already at node's position, to save parsing its FEN
+     * @returns {GameNode} Node for the move played
+     * @throws {Error} If the move is not legal
+     */
+    addMove(node, san, board) {
+
+        if (!board) board = this.boardAt(node);
+
+        let move = board.parseSAN(san);
+        let child = new GameNode(node);
+
+        child.san = move.toSAN(board);
+        child.color = board.state.activeColor;
+        child.moveNumber = board.state.fullmoveNumber;
+
+        board.makeMove(move);
+
+        let existing = node.children.find( (c) => c.san === child.san );
+        if (existing) return existing;
+
+        child.fen = board.toFEN();
+        node.children.push(child);
+
+        return child;
+    }
+
+    /**
+     * A new board with the position after the given node
+     *
+     * @param {GameNode} [node] Defaults to the root, i.e. the starting position
+     * @returns {Board}
+     */
+    boardAt(node = this.root) {
+        let board = new Board();
+
+        board.setPositionFromFEN(node.fen);
+
+        return board;
+    }
+
+    /**
+     * Boards for the starting position and the position after each mainline move
+     * @returns {Board[]}
+     */
+    mainlineBoards() {
+        return [this.root].concat(this.mainline).map( (node) => this.boardAt(node) );
+    }
+
+    static get initialFEN() {
+        return "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+    }
+}
+
+module.exports = Game;
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * One move in a game tree, along with any annotations attached to it.
+ *
+ * The first child continues the line; any further children are variations,
+ * i.e. alternatives to the first child.
+ */
+class GameNode {
+
+    /**
+     * @param {GameNode|null} parent Null for the root, which holds the starting position
+     */
+    constructor(parent = null) {
+        this.parent = parent;
+        this.children = [];
+
+        // The move leading to this node, in SAN. Null for the root
+        this.san = null;
+
+        // Who played the move, and the fullmove number it was played on
+        this.color = null;
+        this.moveNumber = null;
+
+        // Position after the move (or the starting position, for the root)
+        this.fen = null;
+
+        // Annotations. commentBefore only occurs at the start of a variation
+        this.comment = null;
+        this.commentBefore = null;
+        this.nags = [];
+    }
+
+    /**
+     * The main continuation from this node
+     * @returns {GameNode|null}
+     */
+    get next() {
+        return this.children[0] || null;
+    }
+
+    /**
+     * Alternatives to the main continuation
+     * @returns {GameNode[]}
+     */
+    get variations() {
+        return this.children.slice(1);
+    }
+
+    /**
+     * Moves from the start of the game up to and including this one
+     * @returns {GameNode[]}
+     */
+    get path() {
+        let nodes = [];
+
+        for (let node = this; node.parent; node = node.parent) {
+            nodes.unshift(node);
+        }
+
+        return nodes;
+    }
+}
+
+module.exports = GameNode;
\ No newline at end of file
@@ -0,0 +1,123 @@
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+let FENError = require("./FENError.js");
+
+/**
+ *  Everything about a position that can't be seen by looking at the board:
+ *  side to move, castling rights, en passant square and the move clocks.
+ *
+ *  Corresponds to the last five fields of a FEN string.
+ */
+class GameState {
+
+    constructor() {
+        this.activeColor = Piece.colors.WHITE;
+
+        this.castlingRights = {
+            white: { kingside: false, queenside: false },
+            black: { kingside: false, queenside: false }
+        };
+
+        // Square behind a pawn that has just moved two, in algebraic notation. Null if none.
+        this.enPassantSquare = null;
+
+        // Halfmoves since the last capture or pawn move, for the fifty-move rule
+        this.halfmoveClock = 0;
+
+        // Starts at 1 and is incremented after black moves
+        this.fullmoveNumber = 1;
+    }
+
+    /**
+     * Set state from the FEN fields following the piece placement.
+     * All fields are validated before any are applied.
+     *
+     * @param {String[]} fields Active color, castling, en passant, halfmove clock, fullmove number
+     * @throws {FENError}
+     */
+    setFromFEN(fields) {
+
+        let active = fields[0];
+        let castling = fields[1];
+        let enPassant = fields[2];
+
+        if (active !== "w" && active !== "b") {
+            throw new FENError('Expected "w" or "b"', FENError.fields.ACTIVE_COLOR, null, active);
+        }
+
+        if (castling !== "-") {
+            for (let i = 0; i < castling.length; i++) {
+                if (!"KQkq".includes(castling[i])) {
+                    throw new FENError("Not one of K, Q, k, q", FENError.fields.CASTLING, null, castling[i]);
+                }
+            }
+            if (!castling.match(/^K?Q?k?q?$/)) {
+                throw new FENError(`"${castling}" is repeated or out of order (expected KQkq order)`, FENError.fields.CASTLING);
+            }
+        }
+
+        if (enPassant !== "-" && !enPassant.match(/^[a-h][36]$/)) {
+            throw new FENError(`"${enPassant}" is not "-" or a square on the 3rd or 6th rank`, FENError.fields.EN_PASSANT);
+        }
+
+        if (!fields[3].match(/^\d+$/)) {
+            throw new FENError(`"${fields[3]}" is not a non-negative integer`, FENError.fields.HALFMOVE);
+        }
+
+        if (!fields[4].match(/^\d+$/) || parseInt(fields[4]) < 1) {
+            throw new FENError(`"${fields[4]}" is not a positive integer`, FENError.fields.FULLMOVE);
+        }
+
+        this.activeColor = active === "b" ? Piece.colors.BLACK : Piece.colors.WHITE;
+
+        this.castlingRights.white.kingside = castling.includes("K");
+        this.castlingRights.white.queenside = castling.includes("Q");
+        this.castlingRights.black.kingside = castling.includes("k");
+        this.castlingRights.black.queenside = castling.includes("q");
+
+        this.enPassantSquare = enPassant === "-" ? null : enPassant;
+
+        this.halfmoveClock = parseInt(fields[3]);
+        this.fullmoveNumber = parseInt(fields[4]);
+    }
+
+    /**
+     * @returns {String} The five FEN fields following the piece placement
+     */
+    toFEN() {
+        let castling = "";
+
+        if (this.castlingRights.white.kingside) castling += "K";
+        if (this.castlingRights.white.queenside) castling += "Q";
+        if (this.castlingRights.black.kingside) castling += "k";
+        if (this.castlingRights.black.queenside) castling += "q";
+
+        return [
+            this.activeColor === Piece.colors.BLACK ? "b" : "w",
+            castling || "-",
+            this.enPassantSquare || "-",
+            this.halfmoveClock,
+            this.fullmoveNumber
+        ].join(" ");
+    }
+
+    /**
+     * @returns {GameState} Independent copy, safe to modify
+     */
+    clone() {
+        let copy = new GameState();
+
+        copy.activeColor = this.activeColor;
+        copy.castlingRights = {
+            white: Object.assign({}, this.castlingRights.white),
+            black: Object.assign({}, this.castlingRights.black)
+        };
+        copy.enPassantSquare = this.enPassantSquare;
+        copy.halfmoveClock = this.halfmoveClock;
+        copy.fullmoveNumber = this.fullmoveNumber;
+
+        return copy;
+    }
+}
+
+module.exports = GameState;
\ No newline at end of file
@@ -0,0 +1,97 @@
+let Point = require("./Point.js");
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+
+/**
+ *  Square indexing and precomputed attack tables for the board's 0x88 mailbox.
+ *
+ *  A square's index is rank * 16 + file, so a1 = 0, h1 = 7, a2 = 16 and h8 = 119.
+ *  The right half of each 16-square row is off the board, so any step off the edge
+ *  lands on an index with one of the 0x88 bits set, and one test catches it.
+ */
+
+const OFF_BOARD = 0x88;
+
+// Directions as index steps, in the same order as Point's line and jump helpers,
+// so moves come out in the order they always have
+const DIAGONALS = [-15, 17, -17, 15];
+const STRAIGHT = [-1, 1, -16, 16];
+const KING_STEPS = [-17, -16, -15, -1, 1, 15, 16, 17];
+const KNIGHT_JUMPS = [-14, 18, -18, 14, -31, 33, -33, 31];
+
+// Kinds of attacker, as bits. A queen is both a bishop and a rook
+const WHITE_PAWN = 1;
+const BLACK_PAWN = 2;
+const KNIGHT = 4;
+const BISHOP = 8;
+const ROOK = 16;
+const KING = 32;
+const SLIDER = BISHOP | ROOK;
+
+// Difference between two indexes, shifted to be non-negative. Differences run from -119 to 119
+const DIFFERENCE_OFFSET = 119;
+
+// One shared Point per square, null off the board. Pieces and moves hold these,
+// so walking the board doesn't allocate. Treat them as read-only.
+const POINTS = [];
+
+// By (target - from + DIFFERENCE_OFFSET): the kinds of piece that could attack target from
+// that far away, and the step a slider would take along the way.
+// In 0x88 no two directions share a difference, which is what makes the tables possible.
+const ATTACKS = new Array(2 * DIFFERENCE_OFFSET + 1).fill(0);
+const RAY_STEPS = new Array(2 * DIFFERENCE_OFFSET + 1).fill(0);
+
+// Attacker bits for each color and piece type
+const ATTACKER_BITS = {};
+
+for (let index = 0; index < 128; index++) {
+    POINTS.push(index & OFF_BOARD ? null : new Point(index & 7, index >> 4));
+}
+
+[[DIAGONALS, BISHOP], [STRAIGHT, ROOK]].forEach( ([steps, bit]) => {
+    steps.forEach( (step) => {
+        for (let distance = 1; distance < 8; distance++) {
+            ATTACKS[step * distance + DIFFERENCE_OFFSET] |= bit;
+            RAY_STEPS[step * distance + DIFFERENCE_OFFSET] = step;
+        }
+    });
+});
+
+KING_STEPS.forEach( (step) => ATTACKS[step + DIFFERENCE_OFFSET] |= KING );
+KNIGHT_JUMPS.forEach( (jump) => ATTACKS[jump + DIFFERENCE_OFFSET] |= KNIGHT );
+
+// Pawns capture diagonally forward: up the board for white, down for black
+[15, 17].forEach( (step) => ATTACKS[step + DIFFERENCE_OFFSET] |= WHITE_PAWN );
+[-15, -17].forEach( (step) => ATTACKS[step + DIFFERENCE_OFFSET] |= BLACK_PAWN );
+
+[Piece.colors.WHITE, Piece.colors.BLACK].forEach( (color) => {
+    ATTACKER_BITS[color] = {
+        pawn: color === Piece.colors.WHITE ? WHITE_PAWN : BLACK_PAWN,
+        knight: KNIGHT,
+        bishop: BISHOP,
+        rook: ROOK,
+        queen: BISHOP | ROOK,
+        king: KING
+    };
+});
+
+/**
+ * @param {Point} point
+ * @returns {Number} Index of the square in the mailbox
+ */
+function indexOf(point) {
+    return point.rank * 16 + point.file;
+}
+
+exports.OFF_BOARD = OFF_BOARD;
+exports.DIAGONALS = DIAGONALS;
+exports.STRAIGHT = STRAIGHT;
+exports.KING_STEPS = KING_STEPS;
+exports.KNIGHT_JUMPS = KNIGHT_JUMPS;
+exports.SLIDER = SLIDER;
+exports.DIFFERENCE_OFFSET = DIFFERENCE_OFFSET;
+exports.POINTS = POINTS;
+exports.ATTACKS = ATTACKS;
+exports.RAY_STEPS = RAY_STEPS;
+exports.ATTACKER_BITS = ATTACKER_BITS;
+exports.indexOf = indexOf;
@@ -0,0 +1,236 @@
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+let TranspositionTable = require("./TranspositionTable.js");
+
+// Thrown to unwind the search when the budget runs out or it's cancelled
+const ABORT = { aborted: true };
+
+/**
+ *  Depth-limited proof search for forced mate.
+ *
+ *  A mate in N is proven only when every defence to every attacking move in the line
+ *  has been refuted, so a result can be trusted to verify puzzle solutions.
+ *
+ *  Positions already settled are looked up by key in a transposition table, which can be
+ *  shared between searches (e.g. over every position of a game) by passing it in.
+ *
+ *  Used through Board.findMate.
+ */
+class MateSearch {
+
+    /**
+     * @param {Board} board Searched in place; left as it was found
+     * @param {Object} [options]
+     * @param {Number} [options.maxNodes] Give up after this many positions
+     * @param {Number} [options.timeLimit] Give up after this many milliseconds
+     * @param {Function} [options.shouldStop] Polled during the search; return true to cancel
+     * @param {TranspositionTable} [options.table] Results from earlier searches to reuse
+     */
+    constructor(board, options = {}) {
+        this.board = board;
+        this.maxNodes = options.maxNodes || Infinity;
+        this.deadline = options.timeLimit ? Date.now() + options.timeLimit : Infinity;
+        this.shouldStop = options.shouldStop || null;
+        this.table = options.table || new TranspositionTable();
+        this.nodes = 0;
+    }
+
+    /**
+     * Look for the shortest forced mate in up to maxMoves moves for the side to move
+     *
+     * @param {Number} maxMoves
+     * @returns {Object}
+     *      status: one of MateSearch.statuses
+     *      moves: length of the mate in moves (mate in N), or null
+     *      lines: one SAN line per first move that forces mate in that many moves
+     *      nodes: positions searched
+     */
+    run(maxMoves) {
+
+        let board = this.board;
+        let historyLength = board.history.length;
+        let attacker = board.state.activeColor;
+
+        // A game already drawn can't be won, however the pieces stand
+        if (board.getDrawStatus().isDraw) {
+            return { status: MateSearch.statuses.NONE, moves: null, lines: [], nodes: this.nodes };
+        }
+
+        try {
+            for (let depth = 1; depth <= maxMoves; depth++) {
+
+                let solutions = board.getLegalMoves(attacker).filter( (move) => {
+                    return this._visit(move, () => this._defenderLoses(depth));
+                });
+
+                if (solutions.length) {
+                    return {
+                        status: MateSearch.statuses.MATE,
+                        moves: depth,
+                        lines: solutions.map( (move) => this._toSAN(this._principalLine(move, depth)) ),
+                        nodes: this.nodes
+                    };
+                }
+            }
+        } catch (e) {
+            if (e !== ABORT) throw e;
+
+            // Unwind whatever the search had played when it was stopped
+            while (board.history.length > historyLength) board.unmakeMove();
+
+            return { status: MateSearch.statuses.ABORTED, moves: null, lines: [], nodes: this.nodes };
+        }
+
+        return { status: MateSearch.statuses.NONE, moves: null, lines: [], nodes: this.nodes };
+    }
+
+    /**
+     * Attacker to move: is there a move after which every defence loses within depth moves?
+     *
+     * @param {Number} depth Attacking moves remaining, including this one
+     * @returns {Move|null} The mating move, if any
+     */
+    _attackerMates(depth) {
+
+        let moves = this._orderMoves(this.board.getLegalMoves());
+
+        for (let i = 0; i < moves.length; i++) {
+            if (this._visit(moves[i], () => this._defenderLoses(depth))) return moves[i];
+        }
+
+        return null;
+    }
+
+    /**
+     * Defender to move, after an attacking move: is every defence refuted?
+     *
+     * @param {Number} depth Attacking moves remaining, including the one just played
+     * @returns {Boolean}
+     */
+    _defenderLoses(depth) {
+
+        let board = this.board;
+        let key = board.key;
+        let known = this.table.get(key);
+
+        // Mated within fewer moves is mated within more; holding out for longer is holding out for less
+        if (known && known.loses && known.depth <= depth) return true;
+        if (known && !known.loses && known.depth >= depth) return false;
+
+        let defender = board.state.activeColor;
+        let defences = board.getLegalMoves(defender);
+        let loses;
+
+        if (!defences.length) {
+            loses = !!board.isInCheck(defender);
+        } else if (depth <= 1) {
+            loses = false;
+        } else {
+            loses = defences.every( (defence) => this._visit(defence, () => !!this._attackerMates(depth - 1)) );
+        }
+
+        this.table.set(key, { depth: depth, loses: loses });
+
+        return loses;
+    }
+
+    /**
+     * Play a move, evaluate, take it back. Counts nodes and enforces the budget.
+     *
+     * @param {Move} move
+     * @param {Function} evaluate
+     * @returns {*} Whatever evaluate returns
+     */
+    _visit(move, evaluate) {
+
+        this.nodes++;
+
+        if (this.nodes > this.maxNodes) throw ABORT;
+
+        if ((this.nodes & 255) === 0) {
+            if (Date.now() > this.deadline) throw ABORT;
+            if (this.shouldStop && this.shouldStop()) throw ABORT;
+        }
+
+        this.board.makeMove(move);
+        let result = evaluate();
+        this.board.unmakeMove();
+
+        return result;
+    }
+
+    /**
+     * Captures and promotions first; they're the likeliest to force matters
+     *
+     * @param {Move[]} moves
+     * @returns {Move[]}
+     */
+    _orderMoves(moves) {
+        let score = (move) => (move.captured ? move.captured.value : 0) + (move.promotion ? Piece.values[move.promotion] : 0);
+
+        return moves.slice().sort( (a, b) => score(b) - score(a) );
+    }
+
+    /**
+     * Line starting with a proven mating move. Against each attacking move we show the
+     * defence that holds out longest, and the attacker's answer to it.
+     *
+     * @param {Move} move First attacking move
+     * @param {Number} depth Moves to mate
+     * @returns {Move[]}
+     */
+    _principalLine(move, depth) {
+
+        let board = this.board;
+        let line = [move];
+
+        board.makeMove(move);
+
+        let defences = board.getLegalMoves();
+
+        if (defences.length && depth > 1) {
+
+            // Longest resistance: a defence that isn't mated any sooner
+            let holdsLongest = (d) => depth > 2 && this._visit(d, () => !this._attackerMates(depth - 2));
+            let defence = defences.find(holdsLongest) || defences[0];
+
+            line.push(defence);
+
+            board.makeMove(defence);
+            let reply = this._attackerMates(depth - 1);
+            if (reply) line = line.concat(this._principalLine(reply, depth - 1));
+            board.unmakeMove();
+        }
+
+        board.unmakeMove();
+
+        return line;
+    }
+
+    /**
+     * @param {Move[]} line Moves playable in order from the current position
+     * @returns {String[]}
+     */
+    _toSAN(line) {
+
+        let sans = line.map( (move) => {
+            let san = move.toSAN(this.board);
+            this.board.makeMove(move);
+            return san;
+        });
+
+        line.forEach( () => this.board.unmakeMove() );
+
+        return sans;
+    }
+
+    static get statuses() {
+        return {
+            MATE: "mate",
+            NONE: "none",
+            ABORTED: "aborted"
+        }
+    }
+}
+
+module.exports = MateSearch;
\ No newline at end of file
@@ -1,3 +1,6 @@
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+
 /**
  * Assists in analyzing moves by storing useful information wrapped in one object
  */
@@ -7,6 +10,17 @@ class Move {
         this.piece = piece;
         this.fromPoint = from;
         this.toPoint = to;
+
+        // King's two-square move when castling. castlingSide is "kingside" or "queenside"
+        this.isCastling = false;
+        this.castlingSide = null;
+
+        // Piece removed by this move. For en passant it isn't on the destination square
+        this.captured = null;
+        this.isEnPassant = false;
+
+        // Piece type a pawn promotes to, e.g. Piece.types.QUEEN
+        this.promotion = null;
     }
 
     get fromSquare() {
@@ -16,6 +30,74 @@ class Move {
     get toSquare() {
         return this.toPoint.toAlgebraic();        
     }
+
+    /**
+     * Standard Algebraic Notation, e.g. "Nbd7", "exd5", "O-O", "e8=Q+"
+     *
+     * @param {Board} board The position the move is played from (i.e. before the move)
+     * @returns {String}
+     */
+    toSAN(board) {
+
+        let san;
+        let letter = this.piece.type === Piece.types.PAWN ? "" : Piece.fenLetters[this.piece.type].toUpperCase();
+
+        if (this.isCastling) {
+            san = this.castlingSide === "kingside" ? "O-O" : "O-O-O";
+        } else if (this.piece.type === Piece.types.PAWN) {
+            san = this.captured ? this.fromSquare[0] + "x" + this.toSquare : this.toSquare;
+            if (this.promotion) san += "=" + Piece.fenLetters[this.promotion].toUpperCase();
+        } else {
+            san = letter + this._disambiguation(board) + (this.captured ? "x" : "") + this.toSquare;
+        }
+
+        // Play the move to see if it gives check or mate
+        let enemy = Piece.opposite(this.piece.color);
+
+        board.makeMove(this);
+
+        if (board.isInCheck(enemy)) {
+            san += board.getLegalMoves(enemy).length ? "+" : "#";
+        }
+
+        board.unmakeMove();
+
+        return san;
+    }
+
+    /**
+     * Long algebraic notation as used by UCI engines, e.g. "e2e4", "e7e8q"
+     *
+     * @returns {String}
+     */
+    toUCI() {
+        return this.fromSquare + this.toSquare + (this.promotion ? Piece.fenLetters[this.promotion] : "");
+    }
+
+    /**
+     * File, rank or both needed to tell this move apart from the same piece type moving to the same square
+     *
+     * @param {Board} board
+     * @returns {String}
+     */
+    _disambiguation(board) {
+
+        let others = board.getLegalMoves(this.piece.color).filter( (move) => {
+            return move.piece.type === this.piece.type
+                && move.piece !== this.piece
+                && move.toSquare === this.toSquare;
+        });
+
+        if (!others.length) return "";
+
+        let sameFile = others.some( (move) => move.fromSquare[0] === this.fromSquare[0] );
+        let sameRank = others.some( (move) => move.fromSquare[1] === this.fromSquare[1] );
+
+        if (!sameFile) return this.fromSquare[0];
+        if (!sameRank) return this.fromSquare[1];
+
+        return this.fromSquare;
+    }
 }
 
 module.exports = Move;
\ No newline at end of file
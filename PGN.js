@@ -0,0 +1,467 @@
+let Game = require("./Game.js");
+let Board = require("./Board.js");
+
+/**
+ * Reads and writes Portable Game Notation.
+ *
+ * Reading handles any number of games per file, tag pairs, {comments}, ;line comments,
+ * NAGs ($n and !/? suffixes), nested (variations) and [SetUp]/[FEN] start positions.
+ */
+class PGN {
+
+    /**
+     * @param {String} text Contents of a PGN file
+     * @param {Object} [options]
+     * @param {Object[]} [options.errors] If given, a game that can't be read is skipped and
+     *      { game, message } pushed here for it, instead of the whole parse failing
+     * @returns {Game[]}
+     * @throws {Error} Naming the game and token at fault, if a move is illegal or the movetext is malformed
+     */
+    static parse(text, options = {}) {
+
+        let games = [];
+        let errors = options.errors;
+        let tokens = PGN._tokenize(text);
+        let builder = null;
+        let gameNumber = 0;
+
+        let attempt = (fn) => {
+            try {
+                fn();
+            } catch (e) {
+                if (!errors) throw e;
+
+                errors.push({ game: builder.gameNumber, message: e.message });
+
+                // Skip the rest of this game's movetext, up to its result or the next game's tags
+                builder.failed = true;
+                builder.hasMovetext = true;
+            }
+        };
+
+        let finishGame = () => {
+            if (builder && !builder.failed) attempt( () => games.push(builder.finish()) );
+            builder = null;
+        };
+
+        tokens.forEach( (token) => {
+
+            // Tags after movetext mean a new game, even if the previous one had no result
+            if (token.type === "tag" && builder && builder.hasMovetext) finishGame();
+
+            if (!builder) builder = new PGNGameBuilder(++gameNumber);
+
+            if (!builder.failed) attempt( () => builder.add(token) );
+
+            if (token.type === "result") finishGame();
+        });
+
+        finishGame();
+
+        return games;
+    }
+
+    /**
+     * @param {Game|Game[]} games
+     * @returns {String}
+     */
+    static write(games) {
+        if (!Array.isArray(games)) games = [games];
+
+        return games.map( (game) => PGN._writeGame(game) ).join("\n\n") + "\n";
+    }
+
+    /**
+     * Split PGN text into tag, comment, variation, NAG, move and result tokens
+     *
+     * @param {String} text
+     * @returns {Object[]} Each with a type and value
+     */
+    static _tokenize(text) {
+
+        let tokens = [];
+        let pattern = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]|\{([^}]*)\}|;([^\n]*)|(\()|(\))|\$(\d+)|(1-0|0-1|1\/2-1\/2|\*)|(\d+)\.+|([^\s{}()\[\];$]+)/g;
+        let match;
+
+        // Lines starting with % are escaped, and ignored entirely
+        text = text.replace(/^%.*$/gm, "");
+
+        while ((match = pattern.exec(text))) {
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: "tag", name: match[1], value: match[2].replace(/\\(["\\])/g, "$1") });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: "comment", value: match[3].trim() });
+            } else if (match[4] !== undefined) {
+                tokens.push({ type: "comment", value: match[4].trim() });
+            } else if (match[5]) {
+                tokens.push({ type: "open" });
+            } else if (match[6]) {
+                tokens.push({ type: "close" });
+            } else if (match[7] !== undefined) {
+                tokens.push({ type: "nag", value: parseInt(match[7]) });
+            } else if (match[8]) {
+                tokens.push({ type: "result", value: match[8] });
+            } else if (match[9]) {
+                // Move numbers carry no information we don't already have
+                continue;
+            } else {
+                PGN._tokenizeMove(match[10], tokens);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * A move may have !/? suffixes attached, which are shorthand for NAGs 1-6
+     *
+     * @param {String} text
+     * @param {Object[]} tokens Receives the move and any NAG tokens
+     */
+    static _tokenizeMove(text, tokens) {
+
+        let match = text.match(/^(.*?)([!?]{1,2})?$/);
+
+        tokens.push({ type: "move", value: match[1] });
+
+        if (match[2]) {
+            tokens.push({ type: "nag", value: PGN.suffixNAGs[match[2]] });
+        }
+    }
+
+    /**
+     * @param {Game} game
+     * @returns {String}
+     */
+    static _writeGame(game) {
+
+        let lines = [];
+        let tags = Object.assign({}, game.tags);
+        let tokens = [];
+
+        // Seven Tag Roster first, in its standard order, then the rest
+        PGN.sevenTagRoster.forEach( (name) => {
+            let value = tags[name] !== undefined ? tags[name] : PGN.tagDefaults[name];
+            lines.push(PGN._writeTag(name, value));
+            delete tags[name];
+        });
+
+        if (game.startFEN !== Game.initialFEN) {
+            tags.SetUp = "1";
+            tags.FEN = game.startFEN;
+        }
+
+        Object.keys(tags).forEach( (name) => lines.push(PGN._writeTag(name, tags[name])) );
+
+        if (game.root.comment) tokens.push(PGN._writeComment(game.root.comment));
+
+        PGN._writeLine(game.root, tokens, true);
+        tokens.push(game.result);
+
+        return lines.join("\n") + "\n\n" + PGN._wrap(tokens, 80);
+    }
+
+    /**
+     * Write the main continuation from a node, with variations at each step
+     *
+     * @param {GameNode} parent
+     * @param {String[]} tokens Receives the output
+     * @param {Boolean} needNumber Whether a black move needs its "N..." number
+     */
+    static _writeLine(parent, tokens, needNumber) {
+
+        let current = parent;
+
+        while (current.next) {
+
+            let main = current.next;
+
+            PGN._writeNode(main, tokens, needNumber);
+            needNumber = !!main.comment;
+
+            current.variations.forEach( (variation) => {
+                tokens.push("(");
+                PGN._writeNode(variation, tokens, true);
+                PGN._writeLine(variation, tokens, !!variation.comment);
+                tokens.push(")");
+                needNumber = true;
+            });
+
+            current = main;
+        }
+    }
+
+    /**
+     * @param {GameNode} node
+     * @param {String[]} tokens
+     * @param {Boolean} needNumber
+     */
+    static _writeNode(node, tokens, needNumber) {
+
+        if (node.commentBefore) {
+            tokens.push(PGN._writeComment(node.commentBefore));
+            needNumber = true;
+        }
+
+        // Number and move kept as one token so line wrapping can't separate them
+        if (node.color === "white") {
+            tokens.push(node.moveNumber + ". " + node.san);
+        } else if (needNumber) {
+            tokens.push(node.moveNumber + "... " + node.san);
+        } else {
+            tokens.push(node.san);
+        }
+
+        node.nags.forEach( (nag) => tokens.push("$" + nag) );
+
+        if (node.comment) tokens.push(PGN._writeComment(node.comment));
+    }
+
+    static _writeTag(name, value) {
+        return `[${name} "${String(value).replace(/(["\\])/g, "\\$1")}"]`;
+    }
+
+    static _writeComment(text) {
+        // Comments can't be nested, so a closing brace would end it early
+        return "{" + text.replace(/}/g, ")") + "}";
+    }
+
+    /**
+     * Join tokens with spaces, breaking lines before they exceed the width.
+     * Parentheses are joined to the token inside them, as in "(18... Qxa1+".
+     *
+     * @param {String[]} tokens
+     * @param {Number} width
+     * @returns {String}
+     */
+    static _wrap(tokens, width) {
+
+        let lines = [];
+        let line = "";
+        let joined = [];
+
+        tokens.forEach( (token, i) => {
+            if (tokens[i - 1] === "(") {
+                joined[joined.length - 1] += token;
+            } else if (token === ")") {
+                joined[joined.length - 1] += token;
+            } else {
+                joined.push(token);
+            }
+        });
+
+        joined.forEach( (token) => {
+            if (line && line.length + 1 + token.length > width) {
+                lines.push(line);
+                line = "";
+            }
+            line = line ? line + " " + token : token;
+        });
+
+        if (line) lines.push(line);
+
+        return lines.join("\n");
+    }
+
+    static get sevenTagRoster() {
+        return ["Event", "Site", "Date", "Round", "White", "Black", "Result"];
+    }
+
+    static get tagDefaults() {
+        return {
+            Event: "?",
+            Site: "?",
+            Date: "????.??.??",
+            Round: "?",
+            White: "?",
+            Black: "?",
+            Result: "*"
+        }
+    }
+
+    // Move suffix annotations and their equivalent NAG
+    static get suffixNAGs() {
+        return {
+            "!": 1,
+            "?": 2,
+            "!!": 3,
+            "??": 4,
+            "!?": 5,
+            "?!": 6
+        }
+    }
+}
+
+/**
+ * Builds one Game from a stream of PGN tokens, keeping track of
+ * where in the move tree we are as variations open and close.
+ */
+class PGNGameBuilder {
+
+    /**
+     * @param {Number} gameNumber 1-based position in the file, for error messages
+     */
+    constructor(gameNumber) {
+        this.gameNumber = gameNumber;
+        this.tags = {};
+        this.game = null;
+        this.hasMovetext = false;
+
+        // Set by PGN.parse when reading the game failed part way
+        this.failed = false;
+
+        // Node the next move is played from, and the last move played
+        this.current = null;
+        this.lastNode = null;
+
+        // Saved (current, lastNode) for each open variation
+        this.stack = [];
+
+        // Comment waiting for the move it precedes
+        this.pendingComment = null;
+
+        // Board kept in step with this.current where possible, to avoid re-parsing FEN
+        this.board = null;
+        this.boardNode = null;
+    }
+
+    add(token) {
+
+        if (token.type === "tag") {
+            this.tags[token.name] = token.value;
+            return;
+        }
+
+        if (!this.game) this._startGame();
+
+        this.hasMovetext = true;
+
+        switch (token.type) {
+            case "move":
+                this._addMove(token.value);
+                break;
+
+            case "comment":
+                this._addComment(token.value);
+                break;
+
+            case "nag":
+                if (!this.lastNode) this._fail(`NAG $${token.value} before any move`);
+                this.lastNode.nags.push(token.value);
+                break;
+
+            case "open":
+                if (!this.lastNode) this._fail("variation before any move");
+                this.stack.push({ current: this.current, lastNode: this.lastNode });
+
+                // A variation is an alternative to the move just played
+                this.current = this.lastNode.parent;
+                this.lastNode = null;
+                break;
+
+            case "close":
+                if (!this.stack.length) this._fail("unmatched \")\"");
+                Object.assign(this, this.stack.pop());
+
+                // A variation holding only a comment: keep it with the move the variation was for
+                this._flushComment(this.lastNode);
+                break;
+
+            case "result":
+                this.game.result = token.value;
+                break;
+        }
+    }
+
+    /**
+     * @returns {Game}
+     */
+    finish() {
+        if (!this.game) this._startGame();
+        if (this.stack.length) this._fail("unclosed variation");
+
+        this._flushComment(this.lastNode || this.game.root);
+
+        return this.game;
+    }
+
+    _startGame() {
+
+        let fen = this.tags.FEN;
+
+        try {
+            this.game = fen ? new Game(this._normalizeFEN(fen)) : new Game();
+        } catch (e) {
+            this._fail(e.message);
+        }
+
+        this.game.tags = this.tags;
+        this.current = this.game.root;
+    }
+
+    /**
+     * Validate the [FEN] tag, tolerating missing clock fields
+     */
+    _normalizeFEN(fen) {
+        let board = new Board();
+
+        board.setPositionFromFEN(fen, { lenient: true });
+
+        return board.toFEN();
+    }
+
+    _addMove(san) {
+
+        if (this.boardNode !== this.current) {
+            this.board = this.game.boardAt(this.current);
+        }
+
+        let node;
+
+        try {
+            node = this.game.addMove(this.current, san, this.board);
+        } catch (e) {
+            this._fail(`move "${san}": ${e.message}`);
+        }
+
+        if (this.pendingComment !== null) {
+            if (this.current === this.game.root && !this.stack.length) {
+                this.game.root.comment = this.pendingComment;
+            } else {
+                node.commentBefore = this.pendingComment;
+            }
+            this.pendingComment = null;
+        }
+
+        this.current = node;
+        this.lastNode = node;
+        this.boardNode = node;
+    }
+
+    _addComment(text) {
+        if (this.lastNode) {
+            this.lastNode.comment = this.lastNode.comment ? this.lastNode.comment + " " + text : text;
+        } else {
+            this.pendingComment = this.pendingComment ? this.pendingComment + " " + text : text;
+        }
+    }
+
+    /**
+     * Attach a comment that never got a move after it
+     *
+     * @param {GameNode} node
+     */
+    _flushComment(node) {
+        if (this.pendingComment === null) return;
+
+        node.comment = node.comment ? node.comment + " " + this.pendingComment : this.pendingComment;
+        this.pendingComment = null;
+    }
+
+    _fail(message) {
+        throw new Error(`PGN game ${this.gameNumber}: ${message}`);
+    }
+}
+
+module.exports = PGN;
\ No newline at end of file
@@ -5,9 +5,9 @@ class Point {
     }
 
     /**
-     * Point is conventional (x, y) notation where upper left is (0, 0) so:
-     * a8 = (0, 0)
-     * h1 = (7, 7)
+     * Point is (file, rank) from white's perspective, lower left is (0, 0) so:
+     * a1 = (0, 0)
+     * h8 = (7, 7)
      */
     toAlgebraic() {
         let letter = "abcdefgh"[this.file];
@@ -16,6 +16,21 @@ class Point {
         return letter + number;
     }
 
+    /**
+     * Inverse of toAlgebraic
+     *
+     * @param {String} square Algebraic notation of square
+     * @returns {Point}
+     */
+    static fromAlgebraic(square) {
+
+        if (!square || !square.match(/^[a-h][1-8]$/)) {
+            throw new Error("Invalid square");
+        }
+
+        return new Point("abcdefgh".indexOf(square[0]), parseInt(square[1]) - 1);
+    }
+
     setSquare(square) {
 
         if (!square || !square.match(/^[a-h][1-8]$/)) {
@@ -25,7 +40,7 @@ class Point {
         let letter = square[0];
         let number = square[1];
         let newFile = "abcdefgh".indexOf(letter);
-        let newRank = 8 - number;
+        let newRank = number - 1;
 
         this.file = newFile;
         this.rank = newRank;
@@ -124,6 +139,27 @@ class Point {
         return validPoints;
     }
 
+    /**
+     * Points strictly between this one and another on the same straight or diagonal line
+     *
+     * @param {Point} other
+     * @returns {Point[]} Empty if adjacent, or not on a shared line
+     */
+    getPointsBetween(other) {
+
+        let dx = Math.sign(other.file - this.file);
+        let dy = Math.sign(other.rank - this.rank);
+        let distanceX = Math.abs(other.file - this.file);
+        let distanceY = Math.abs(other.rank - this.rank);
+
+        if (distanceX && distanceY && distanceX !== distanceY) return [];
+        if (!distanceX && !distanceY) return [];
+
+        let line = this.getLine(dx, dy);
+
+        return line.slice(0, Math.max(distanceX, distanceY) - 1);
+    }
+
     /**
      * Helper for internal functions
      */
@@ -0,0 +1,69 @@
+/**
+ *  Bounded cache of search results, by position key (Board.key).
+ *
+ *  Once full, the oldest entries make way for new ones, so memory use stays fixed however
+ *  long it's used. One table can be shared between searches, and between boards, since a
+ *  key means the same position wherever it came from.
+ */
+class TranspositionTable {
+
+    /**
+     * @param {Number} [maxEntries=262144]
+     */
+    constructor(maxEntries = 1 << 18) {
+        this.maxEntries = maxEntries;
+
+        // Map keeps insertion order, which tells us the oldest entry
+        this.entries = new Map();
+
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * @param {String} key
+     * @returns {*} The stored value, or undefined
+     */
+    get(key) {
+        let value = this.entries.get(key);
+
+        if (value === undefined) {
+            this.misses++;
+        } else {
+            this.hits++;
+        }
+
+        return value;
+    }
+
+    /**
+     * @param {String} key
+     * @param {*} value Anything but undefined
+     */
+    set(key, value) {
+
+        // Re-inserting moves the key to the back of the queue, as the newest entry
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        } else if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, value);
+    }
+
+    /**
+     * @returns {Number} Entries currently stored
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.hits = 0;
+        this.misses = 0;
+    }
+}
+
+module.exports = TranspositionTable;
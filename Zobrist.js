@@ -0,0 +1,78 @@
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+
+/**
+ *  Random numbers for Zobrist hashing of positions.
+ *
+ *  A position's key is the XOR of one number per piece on its square, plus numbers for
+ *  the side to move, each castling right and the en passant file. Moving a piece then
+ *  only takes two XORs to update the key.
+ *
+ *  Keys are 64 bits, held as two signed 32-bit halves since JavaScript numbers can't do
+ *  64-bit XOR. The generator is seeded with a constant, so keys are the same on every run
+ *  and can be stored or compared between runs.
+ */
+
+const SEED = 0x9E3779B9;
+
+let state = SEED;
+
+/**
+ * xorshift32
+ *
+ * @returns {Number} Next signed 32-bit number
+ */
+function next() {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+
+    return state | 0;
+}
+
+/**
+ * @param {Number} length
+ * @returns {Object} high and low halves, each an Int32Array of the given length
+ */
+function randomKeys(length) {
+    let keys = { high: new Int32Array(length), low: new Int32Array(length) };
+
+    for (let i = 0; i < length; i++) {
+        keys.high[i] = next();
+        keys.low[i] = next();
+    }
+
+    return keys;
+}
+
+// By color, then piece type, then mailbox index of the square (see Mailbox.js)
+const PIECES = {};
+
+[Piece.colors.WHITE, Piece.colors.BLACK].forEach( (color) => {
+    PIECES[color] = {};
+    Object.values(Piece.types).forEach( (type) => PIECES[color][type] = randomKeys(128) );
+});
+
+// White kingside, white queenside, black kingside, black queenside
+const CASTLING = randomKeys(4);
+
+// By file, a to h. Only included when a pawn could actually take en passant
+const EN_PASSANT = randomKeys(8);
+
+// Included when black is to move
+const BLACK_TO_MOVE = randomKeys(1);
+
+/**
+ * @param {Number} high
+ * @param {Number} low
+ * @returns {String} The key as 16 hex digits
+ */
+function toHex(high, low) {
+    return (high >>> 0).toString(16).padStart(8, "0") + (low >>> 0).toString(16).padStart(8, "0");
+}
+
+exports.PIECES = PIECES;
+exports.CASTLING = CASTLING;
+exports.EN_PASSANT = EN_PASSANT;
+exports.BLACK_TO_MOVE = BLACK_TO_MOVE;
+exports.toHex = toHex;
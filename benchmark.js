@@ -0,0 +1,97 @@
+let path = require("path");
+let Board = require("./Board.js");
+
+/**
+ *  Move generation speed, as perft nodes per second.
+ *
+ *  node benchmark.js                  Time this tree
+ *  node benchmark.js --compare <dir>  Time this tree and another checkout of it, e.g. from before a change:
+ *                                     git worktree add /tmp/before <commit> && node benchmark.js --compare /tmp/before
+ *
+ *  Each position is run once to warm up and then timed. Node counts are checked too,
+ *  so a speed-up that breaks the move generator doesn't go unnoticed.
+ */
+
+const positions = [
+    {
+        name: "Start position",
+        fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+        depth: 4,
+        nodes: 197281
+    },
+    {
+        name: "Kiwipete",
+        fen: "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+        depth: 3,
+        nodes: 97862
+    },
+    {
+        name: "CPW position 3",
+        fen: "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+        depth: 5,
+        nodes: 674624
+    },
+    {
+        name: "CPW position 4",
+        fen: "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1",
+        depth: 4,
+        nodes: 422333
+    }
+];
+
+/**
+ * Time perft on each position with one Board implementation
+ *
+ * @param {Function} BoardClass
+ * @param {String} label Printed above the results
+ * @returns {Object} totalNodes, totalTime (seconds) and whether every count was correct
+ */
+function run(BoardClass, label) {
+
+    let board = new BoardClass();
+    let totalNodes = 0;
+    let totalTime = 0;
+    let correct = true;
+
+    console.log(label);
+
+    positions.forEach( (position) => {
+
+        board.setPositionFromFEN(position.fen);
+
+        // Warm-up, at less depth, so the JIT has compiled the move generator before timing
+        board.perft(position.depth - 1);
+
+        let started = process.hrtime.bigint();
+        let nodes = board.perft(position.depth);
+        let seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+        if (nodes !== position.nodes) correct = false;
+
+        totalNodes += nodes;
+        totalTime += seconds;
+
+        let nps = Math.round(nodes / seconds);
+        let check = nodes === position.nodes ? "" : `  (expected ${position.nodes})`;
+
+        console.log(`  ${position.name.padEnd(16)} depth ${position.depth}  ${String(nodes).padStart(8)} nodes  ${seconds.toFixed(2).padStart(6)}s  ${String(nps).padStart(9)} nodes/s${check}`);
+    });
+
+    console.log(`  Total: ${totalNodes} nodes in ${totalTime.toFixed(2)}s, ${Math.round(totalNodes / totalTime)} nodes/s\n`);
+
+    return { totalNodes: totalNodes, totalTime: totalTime, correct: correct };
+}
+
+let args = process.argv.slice(2);
+let result = run(Board, "This tree");
+let correct = result.correct;
+
+if (args[0] === "--compare") {
+    let other = run(require(path.resolve(args[1], "Board.js")), `Compared with ${args[1]}`);
+    let speedup = (result.totalNodes / result.totalTime) / (other.totalNodes / other.totalTime);
+
+    console.log(`This tree is ${speedup.toFixed(2)}x the speed of ${args[1]}`);
+    correct = correct && other.correct;
+}
+
+process.exitCode = correct ? 0 : 1;
@@ -1,10 +1,504 @@
+#!/usr/bin/env node
+
+let fs = require("fs");
 let Board = require("./Board.js");
+let PGN = require("./PGN.js");
+let TranspositionTable = require("./TranspositionTable.js");
+let Pieces = require("./pieces.js");
+let Piece = Pieces.Piece;
+
+/**
+ *  Command-line tactics finder.
+ *
+ *  Tactics are reported for the side to move. Positions where the game is already over,
+ *  including draws that need no claim, have none.
+ *
+ *  --time only bounds the mate search. The other motifs look one move ahead at most and aren't limited.
+ *
+ *  Exit status is 0 on success, 1 if the FEN, PGN or file can't be read or the position is
+ *  impossible, 2 for bad usage and 3 if the analysis itself fails. A scan still reports the
+ *  games it could read when others fail, but exits with 1.
+ */
+
+const exitCodes = {
+    OK: 0,
+    BAD_INPUT: 1,
+    USAGE: 2,
+    ERROR: 3
+};
+
+/**
+ * Thrown for command-line mistakes, which are answered with the usage message
+ */
+class UsageError extends Error {}
+
+/**
+ * How to find each motif, and describe what's found as plain data.
+ * Each finder is given the board, the side to move and the options.
+ */
+const motifs = {
+
+    fork: (board, color) => board.findForks(color).map( (fork) => {
+        let piece = describePiece(fork.piece);
+
+        // Where the forking piece lands, for a fork that's still to be played
+        if (fork.move) piece.square = fork.move.toSquare;
+
+        return {
+            piece: piece,
+            move: fork.move ? fork.move.toSAN(board) : null,
+            targets: fork.targets.map(describePiece),
+            isCheck: fork.isCheck,
+            winsMaterial: fork.winsMaterial
+        };
+    }),
+
+    pin: (board, color) => board.findPins(color).map( (pin) => ({
+        pinner: describePiece(pin.pinner),
+        pinned: describePiece(pin.pinned),
+        pinnedTo: describePiece(pin.pinnedTo),
+        isAbsolute: pin.isAbsolute
+    })),
+
+    skewer: (board, color) => board.findSkewers(color).map( (skewer) => ({
+        skewerer: describePiece(skewer.skewerer),
+        front: describePiece(skewer.front),
+        behind: describePiece(skewer.behind),
+        isCheck: skewer.isCheck
+    })),
+
+    discovered: (board, color) => board.findDiscoveredAttacks(color).map( (discovery) => ({
+        slider: describePiece(discovery.slider),
+        front: describePiece(discovery.front),
+        target: describePiece(discovery.target),
+        isCheck: discovery.isCheck,
+        moves: discovery.moves.map( (unveiling) => ({
+            move: unveiling.move.toSAN(board),
+            isDoubleAttack: unveiling.isDoubleAttack,
+            isDoubleCheck: unveiling.isDoubleCheck
+        }))
+    })),
+
+    trapped: (board, color) => board.findTrappedPieces(color).map( (trap) => ({
+        piece: describePiece(trap.piece),
+        move: trap.move ? trap.move.toSAN(board) : null
+    })),
+
+    overloaded: (board, color) => board.findOverloadedPieces(color).map( (overload) => ({
+        piece: describePiece(overload.piece),
+        duties: overload.duties.map( (duty) => duty.type ),
+        deflection: overload.deflection.toSAN(board)
+    })),
+
+    mate: (board, color, options) => {
+        let result = board.findMate(options.depth, { timeLimit: options.time, table: options.table });
+
+        if (result.status === "aborted") return [{ aborted: true, nodes: result.nodes }];
+
+        return result.status === "mate" ? [{ moves: result.moves, lines: result.lines }] : [];
+    }
+};
+
+const usage = `Usage:
+  chess-finder analyze "<fen>"    Tactics available to the side to move
+  chess-finder moves "<fen>"      Legal moves
+  chess-finder scan <file.pgn>    Tactics in every mainline position of every game
+
+Options:
+  --format text|json    Output format (default text)
+  --motifs <list>       Comma-separated motifs to look for (default all):
+                        ${Object.keys(motifs).join(", ")}
+  --depth <n>           Longest forced mate to look for, in moves (default 2)
+  --time <ms>           Give up each mate search after this long (other motifs
+                        aren't limited)
+  --help                Show this message
+
+Exit status: 0 on success, 1 if the input (or any game in it) can't be read or the
+position is impossible, 2 for bad usage, 3 if the analysis fails.`;
+
+/**
+ * @param {Piece} piece
+ * @returns {Object}
+ */
+function describePiece(piece) {
+    return { type: piece.type, color: piece.color, square: piece.square };
+}
+
+/**
+ * @param {String} fen
+ * @returns {Board}
+ * @throws {FENError} If the FEN is malformed
+ * @throws {Error} Listing each problem, if the position couldn't arise in a game
+ */
+function boardFromFEN(fen) {
+    let board = new Board();
+
+    board.setPositionFromFEN(fen, { lenient: true });
+
+    let issues = board.validatePosition();
+
+    if (issues.length) throw new Error("Impossible position:\n  " + issues.join("\n  "));
+
+    return board;
+}
+
+/**
+ * Everything we report about one position
+ *
+ * @param {Board} board
+ * @param {Object} options
+ * @returns {Object}
+ */
+function analyzePosition(board, options) {
+
+    let color = board.state.activeColor;
+    let result = board.getGameResult();
+    let report = {
+        fen: board.toFEN(),
+        toMove: color,
+        status: result.status,
+        result: result.result,
+        inCheck: !!board.isInCheck(color),
+        drawRules: board.getDrawStatus().reasons,
+        motifs: {}
+    };
+
+    // No point finding a "winning" combination in a game that's already over
+    if (result.status !== Board.gameStatuses.ONGOING) return report;
+
+    options.motifs.forEach( (name) => {
+        report.motifs[name] = motifs[name](board, color, options);
+    });
+
+    return report;
+}
+
+/**
+ * @param {Object} report From analyzePosition
+ * @returns {Boolean}
+ */
+function hasFindings(report) {
+    return Object.values(report.motifs).some( (found) => found.length );
+}
+
+/**
+ * Play through the mainline of each game, analyzing the position before each move
+ * and at the end. A position seen before, in this game or an earlier one, is skipped.
+ *
+ * @param {Object} pgn From loadInput: the games read, and errors for those that couldn't be
+ * @param {Object} options
+ * @returns {Object} games and positions counted, the games that failed, and a report for each position with findings
+ */
+function scanGames(pgn, options) {
+
+    let seen = new Set();
+    let findings = [];
+    let positions = 0;
+
+    // Games are numbered by their place in the file, counting the ones that failed
+    let failedNumbers = pgn.errors.map( (error) => error.game );
+    let number = 0;
+
+    pgn.games.forEach( (game) => {
+
+        do {
+            number++;
+        } while (failedNumbers.includes(number));
+
+        // One board for the whole game, so repetitions are known to the draw rules
+        let board = game.boardAt();
+        let nodes = game.mainline;
+
+        for (let ply = 0; ply <= nodes.length; ply++) {
+
+            let key = board.key;
+
+            if (!seen.has(key)) {
+                seen.add(key);
+                positions++;
+
+                let report = analyzePosition(board, options);
+
+                if (hasFindings(report)) {
+                    findings.push(Object.assign({
+                        game: number,
+                        white: game.tags.White || "?",
+                        black: game.tags.Black || "?",
+                        moveNumber: board.state.fullmoveNumber,
+                        key: key
+                    }, report));
+                }
+            }
+
+            if (ply < nodes.length) board.makeMove(board.parseSAN(nodes[ply].san));
+        }
+    });
+
+    return { games: pgn.games.length, failed: pgn.errors, positions: positions, findings: findings };
+}
+
+/**
+ * @param {Object} piece From describePiece
+ * @returns {String} e.g. "knight c7"
+ */
+function pieceText(piece) {
+    return piece.type + " " + piece.square;
+}
+
+/**
+ * One line per finding
+ *
+ * @param {Object} report From analyzePosition
+ * @returns {String[]}
+ */
+function motifLines(report) {
+
+    let lines = [];
+    let flags = (pairs) => {
+        let set = pairs.filter( (pair) => pair[0] ).map( (pair) => pair[1] );
+        return set.length ? " (" + set.join(", ") + ")" : "";
+    };
+
+    let describe = {
+        fork: (f) => (f.move ? f.move + ": " : "") + `${pieceText(f.piece)} forks ${f.targets.map(pieceText).join(", ")}`
+            + flags([[f.isCheck, "check"], [f.winsMaterial, "wins material"]]),
+        pin: (p) => `${pieceText(p.pinner)} pins ${pieceText(p.pinned)} to ${pieceText(p.pinnedTo)}`
+            + flags([[p.isAbsolute, "absolute"]]),
+        skewer: (s) => `${pieceText(s.skewerer)} skewers ${pieceText(s.front)} and ${pieceText(s.behind)}`
+            + flags([[s.isCheck, "check"]]),
+        discovered: (d) => `${pieceText(d.front)} can unveil ${pieceText(d.slider)} on ${pieceText(d.target)}: `
+            + d.moves.map( (m) => m.move + flags([[m.isDoubleCheck, "double check"], [m.isDoubleAttack && !m.isDoubleCheck, "double attack"]]) ).join(", "),
+        trapped: (t) => (t.move ? t.move + ": " : "") + `traps ${pieceText(t.piece)}`,
+        overloaded: (o) => `${o.deflection}: deflects overloaded ${pieceText(o.piece)} (${o.duties.join(", ")})`,
+        mate: (m) => m.aborted ? `search stopped after ${m.nodes} positions` : m.lines.map( (line) => line.join(" ") ).join("; ") + ` (mate in ${m.moves})`
+    };
+
+    Object.keys(report.motifs).forEach( (name) => {
+        report.motifs[name].forEach( (found) => lines.push(`${name}: ${describe[name](found)}`) );
+    });
+
+    return lines;
+}
+
+/**
+ * @param {Object} report From analyzePosition
+ * @returns {String}
+ */
+function analysisText(report) {
+
+    let side = report.toMove === Piece.colors.WHITE ? "White" : "Black";
+    let lines = [report.fen, `${side} to move${report.inCheck ? ", in check" : ""}. Status: ${report.status} (${report.result})`];
+
+    if (report.drawRules.length) lines.push("Draw rules: " + report.drawRules.join(", "));
+
+    let found = motifLines(report);
+
+    lines = lines.concat(found.length ? found : ["No tactics found"]);
+
+    return lines.join("\n");
+}
+
+/**
+ * @param {Object} scan From scanGames
+ * @returns {String}
+ */
+function scanText(scan) {
+
+    let blocks = scan.findings.map( (report) => {
+        let side = report.toMove === Piece.colors.WHITE ? "White" : "Black";
+        let header = `Game ${report.game} (${report.white} - ${report.black}), move ${report.moveNumber}, ${side} to move`;
+
+        return [header, report.fen].concat(motifLines(report).map( (line) => "  " + line )).join("\n");
+    });
+
+    let summary = `Scanned ${scan.games} games, ${scan.positions} distinct positions, ${scan.findings.length} with tactics`;
+
+    if (scan.failed.length) summary += `. Games that could not be read: ${scan.failed.length}`;
+
+    blocks.push(summary);
+
+    return blocks.join("\n\n");
+}
+
+/**
+ * @param {Board} board
+ * @returns {Object[]} san and uci of each legal move
+ */
+function listMoves(board) {
+    return board.getLegalMoves().map( (move) => ({ san: move.toSAN(board), uci: move.toUCI() }) );
+}
+
+/**
+ * Split arguments into the command, its operand and options
+ *
+ * @param {String[]} args
+ * @returns {Object}
+ * @throws {UsageError}
+ */
+function parseArgs(args) {
+
+    let parsed = { command: null, operand: null, help: false };
+    let options = { format: "text", motifs: Object.keys(motifs), depth: 2, time: undefined };
+    let positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+
+        let arg = args[i];
+        let match = arg.match(/^--(\w+)(?:=(.*))?$/);
+
+        if (!match) {
+            positional.push(arg);
+            continue;
+        }
+
+        let name = match[1];
+
+        if (name === "help") {
+            parsed.help = true;
+            continue;
+        }
+
+        let value = match[2] !== undefined ? match[2] : args[++i];
+
+        if (value === undefined) throw new UsageError(`--${name} needs a value`);
+
+        switch (name) {
+            case "format":
+                if (!["text", "json"].includes(value)) throw new UsageError(`Unknown format "${value}"`);
+                options.format = value;
+                break;
+
+            case "motifs":
+                options.motifs = value.split(",").map( (m) => m.trim() ).filter( (m) => m );
+                options.motifs.forEach( (m) => {
+                    if (!motifs[m]) throw new UsageError(`Unknown motif "${m}"`);
+                });
+                break;
+
+            case "depth":
+                options.depth = parseInt(value);
+                if (!(options.depth >= 1)) throw new UsageError("--depth must be a positive number of moves");
+                break;
+
+            case "time":
+                options.time = parseInt(value);
+                if (!(options.time >= 1)) throw new UsageError("--time must be a positive number of milliseconds");
+                break;
+
+            default:
+                throw new UsageError(`Unknown option --${name}`);
+        }
+    }
+
+    if (parsed.help) return Object.assign(parsed, { options: options });
+
+    if (positional.length !== 2) throw new UsageError("Expected a command and one argument");
+
+    parsed.command = positional[0];
+    parsed.operand = positional[1];
+    parsed.options = options;
+
+    // Mate searches can share results across all the positions of a run
+    options.table = new TranspositionTable();
+
+    return parsed;
+}
+
+/**
+ * Read the FEN or PGN file a command works on
+ *
+ * @param {String} command
+ * @param {String} operand
+ * @returns {Board|Object} A board, or for scan the games read and an error for each game that wasn't
+ * @throws {Error} If it can't be read or isn't valid
+ */
+function loadInput(command, operand) {
+
+    if (command === "scan") {
+        let errors = [];
+        let games = PGN.parse(fs.readFileSync(operand, "utf8"), { errors: errors });
+
+        return { games: games, errors: errors };
+    }
+
+    return boardFromFEN(operand);
+}
+
+/**
+ * @param {String[]} args Command-line arguments, after the script name
+ * @returns {Number} Exit status
+ */
+function main(args) {
+
+    let parsed;
+
+    try {
+        parsed = parseArgs(args);
+    } catch (e) {
+        if (!(e instanceof UsageError)) throw e;
+        console.error(e.message + "\n\n" + usage);
+        return exitCodes.USAGE;
+    }
+
+    if (parsed.help) {
+        console.log(usage);
+        return exitCodes.OK;
+    }
+
+    if (!["analyze", "moves", "scan"].includes(parsed.command)) {
+        console.error(`Unknown command "${parsed.command}"\n\n` + usage);
+        return exitCodes.USAGE;
+    }
+
+    let options = parsed.options;
+    let json = options.format === "json";
+    let input;
+    let output;
+
+    // Bad or impossible FEN, or a missing file. Bad games in a PGN file are reported by scan
+    try {
+        input = loadInput(parsed.command, parsed.operand);
+    } catch (e) {
+        console.error(e.message);
+        return exitCodes.BAD_INPUT;
+    }
+
+    switch (parsed.command) {
+        case "analyze": {
+            let report = analyzePosition(input, options);
+            output = json ? report : analysisText(report);
+            break;
+        }
+
+        case "moves": {
+            let moves = listMoves(input);
+            output = json ? moves : moves.map( (move) => `${move.san} ${move.uci}` ).join("\n");
+            break;
+        }
+
+        case "scan": {
+            let scan = scanGames(input, options);
+            output = json ? scan : scanText(scan);
+            break;
+        }
+    }
+
+    if (json) output = JSON.stringify(output, null, 2);
+    if (output) console.log(output);
 
+    // The games that could be read are still reported, but the run counts as failed
+    if (input.errors && input.errors.length) {
+        input.errors.forEach( (error) => console.error(error.message) );
+        return exitCodes.BAD_INPUT;
+    }
 
-let board = new Board();
-// board.setInitialPosition();
-board.setNoPawnsPosition();
-board.getpseudoLegalMoves();
-var x = board.pieces;
+    return exitCodes.OK;
+}
 
-var stopHere = 12;
+// Anything not already answered with an exit status is a failure of the analysis, not the input
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (e) {
+    console.error(`chess-finder: ${e.message}`);
+    process.exitCode = exitCodes.ERROR;
+}
@@ -0,0 +1,237 @@
+let Board = require("./Board.js");
+
+/**
+ *  Move generator correctness suite.
+ *
+ *  node perft.js [--depth N]      Run the reference positions, up to depth N if given
+ *  node perft.js "<fen>" <depth>  Print the divide for any position, to compare with another engine
+ *
+ *  Counts are from the Chess Programming Wiki and Martin Sedlak's perft suite.
+ *  Exits with status 1 if any count doesn't match.
+ */
+
+// Expected leaf counts, keyed by depth
+const positions = [
+    {
+        name: "Start position",
+        fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
+        counts: { 1: 20, 2: 400, 3: 8902, 4: 197281 }
+    },
+    {
+        name: "Kiwipete",
+        fen: "r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1",
+        counts: { 1: 48, 2: 2039, 3: 97862 }
+    },
+    {
+        name: "CPW position 3 (en passant, rook endgame)",
+        fen: "8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1",
+        counts: { 1: 14, 2: 191, 3: 2812, 4: 43238, 5: 674624 }
+    },
+    {
+        name: "CPW position 4 (promotions, castling through check)",
+        fen: "r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1",
+        counts: { 1: 6, 2: 264, 3: 9467, 4: 422333 }
+    },
+    {
+        name: "CPW position 4, mirrored",
+        fen: "r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1",
+        counts: { 1: 6, 2: 264, 3: 9467, 4: 422333 }
+    },
+    {
+        name: "CPW position 5 (promotion with capture and check)",
+        fen: "rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8",
+        counts: { 1: 44, 2: 1486, 3: 62379 }
+    },
+    {
+        name: "CPW position 6",
+        fen: "r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10",
+        counts: { 1: 46, 2: 2079, 3: 89890 }
+    },
+    {
+        name: "Illegal en passant (rank pin)",
+        fen: "3k4/3p4/8/K1P4r/8/8/8/8 b - - 0 1",
+        counts: { 6: 1134888 }
+    },
+    {
+        name: "Illegal en passant (diagonal pin)",
+        fen: "8/8/4k3/8/2p5/8/B2P2K1/8 w - - 0 1",
+        counts: { 6: 1015133 }
+    },
+    {
+        name: "En passant capture gives check",
+        fen: "8/8/1k6/2b5/2pP4/8/5K2/8 b - d3 0 1",
+        counts: { 6: 1440467 }
+    },
+    {
+        name: "Short castling gives check",
+        fen: "5k2/8/8/8/8/8/8/4K2R w K - 0 1",
+        counts: { 6: 661072 }
+    },
+    {
+        name: "Long castling gives check",
+        fen: "3k4/8/8/8/8/8/8/R3K3 w Q - 0 1",
+        counts: { 6: 803711 }
+    },
+    {
+        name: "Castling rights lost on rook capture",
+        fen: "r3k2r/1b4bq/8/8/8/8/7B/R3K2R w KQkq - 0 1",
+        counts: { 4: 1274206 }
+    },
+    {
+        name: "Castling prevented",
+        fen: "r3k2r/8/3Q4/8/8/5q2/8/R3K2R b KQkq - 0 1",
+        counts: { 4: 1720476 }
+    },
+    {
+        name: "Promote out of check",
+        fen: "2K2r2/4P3/8/8/8/8/8/3k4 w - - 0 1",
+        counts: { 6: 3821001 }
+    },
+    {
+        name: "Discovered check",
+        fen: "8/8/1P2K3/8/2n5/1q6/8/5k2 b - - 0 1",
+        counts: { 5: 1004658 }
+    },
+    {
+        name: "Promote to give check",
+        fen: "4k3/1P6/8/8/8/8/K7/8 w - - 0 1",
+        counts: { 6: 217342 }
+    },
+    {
+        name: "Underpromote to give check",
+        fen: "8/P1k5/K7/8/8/8/8/8 w - - 0 1",
+        counts: { 6: 92683 }
+    },
+    {
+        name: "Self stalemate",
+        fen: "K1k5/8/P7/8/8/8/8/8 w - - 0 1",
+        counts: { 6: 2217 }
+    },
+    {
+        name: "Stalemate and checkmate (pawn)",
+        fen: "8/k1P5/8/1K6/8/8/8/8 w - - 0 1",
+        counts: { 7: 567584 }
+    },
+    {
+        name: "Stalemate and checkmate (pieces)",
+        fen: "8/8/2k5/5q2/5n2/8/5K2/8 b - - 0 1",
+        counts: { 4: 23527 }
+    }
+];
+
+/**
+ * @param {String} fen
+ * @returns {Board}
+ */
+function boardFromFEN(fen) {
+    let board = new Board();
+
+    board.setPositionFromFEN(fen);
+
+    return board;
+}
+
+/**
+ * A wrong total doesn't say which move is at fault. Recount each move's subtree on a
+ * fresh board set up from FEN: if that disagrees with the count from make/unmake,
+ * the move leaves the board in a different state than its FEN describes.
+ *
+ * @param {Board} board
+ * @param {Number} depth
+ * @returns {String[]} One line per move, with suspects marked
+ */
+function explainMismatch(board, depth) {
+
+    let divide = board.divide(depth);
+
+    return board.getLegalMoves().map( (move) => {
+        let uci = move.toUCI();
+
+        board.makeMove(move);
+        let fen = board.toFEN();
+        board.unmakeMove();
+
+        let fresh = boardFromFEN(fen).perft(depth - 1);
+        let note = fresh === divide[uci] ? "" : `  <-- ${fresh} from FEN ${fen}`;
+
+        return `    ${uci}: ${divide[uci]}${note}`;
+    });
+}
+
+/**
+ * @param {Number} maxDepth Skip counts deeper than this
+ * @returns {Boolean} Whether every count matched
+ */
+function runSuite(maxDepth) {
+
+    let passed = true;
+    let totalNodes = 0;
+    let started = Date.now();
+
+    positions.forEach( (position) => {
+
+        let board = boardFromFEN(position.fen);
+
+        Object.keys(position.counts).map(Number).filter( (depth) => depth <= maxDepth ).forEach( (depth) => {
+
+            let expected = position.counts[depth];
+            let nodes = board.perft(depth);
+
+            totalNodes += nodes;
+
+            if (nodes === expected) {
+                console.log(`ok    ${position.name}, depth ${depth}: ${nodes}`);
+                return;
+            }
+
+            passed = false;
+
+            console.log(`FAIL  ${position.name}, depth ${depth}: expected ${expected}, got ${nodes}`);
+            console.log(`    ${position.fen}`);
+            explainMismatch(board, depth).forEach( (line) => console.log(line) );
+        });
+    });
+
+    let seconds = (Date.now() - started) / 1000;
+    console.log(`\n${passed ? "All counts match" : "Counts do not match"}. ${totalNodes} nodes in ${seconds}s`);
+
+    return passed;
+}
+
+/**
+ * @param {String} fen
+ * @param {Number} depth
+ */
+function printDivide(fen, depth) {
+
+    let divide = boardFromFEN(fen).divide(depth);
+    let total = 0;
+
+    Object.keys(divide).sort().forEach( (move) => {
+        console.log(`${move}: ${divide[move]}`);
+        total += divide[move];
+    });
+
+    console.log(`\nNodes searched: ${total}`);
+}
+
+let args = process.argv.slice(2);
+
+try {
+    if (args.length && args[0] !== "--depth") {
+        let depth = parseInt(args[1]);
+
+        if (!(depth >= 1)) throw new Error(`Usage: node perft.js "<fen>" <depth>`);
+
+        printDivide(args[0], depth);
+    } else {
+        let maxDepth = args[0] === "--depth" ? parseInt(args[1]) : Infinity;
+
+        if (Number.isNaN(maxDepth)) throw new Error("Usage: node perft.js [--depth N]");
+
+        process.exitCode = runSuite(maxDepth) ? 0 : 1;
+    }
+} catch (e) {
+    console.error(e.message);
+    process.exitCode = 2;
+}
@@ -6,15 +6,20 @@ class Piece {
         this.type = null;
         this.point = null;
         this.color = color;
-        this.isPinned = false;
 
-        // Array of enemy pieces attacking/defending this one
-        this.defendedBy = [];
-        this.attackedBy = [];
+        // Board holding this piece, if any. Set when placed, cleared when removed
+        this.board = null;
 
-        // Array of pieces this one is attacking or defending
-        this.attacking = [];
-        this.defending = [];
+        // Relations to other pieces, filled by Board.computeRelations.
+        // Read through the getters below, which recompute them if the position has changed.
+        this._defendedBy = [];
+        this._attackedBy = [];
+        this._attacking = [];
+        this._defending = [];
+
+        // Pin along a line to a king (absolute) or more valuable piece (relative)
+        this._pinnedBy = null;
+        this._pinnedTo = null;
 
         this.startingSquares = {
             "black": [],
@@ -107,6 +112,74 @@ class Piece {
         return this.point ? this.point.toAlgebraic() : null;
     }
 
+    /**
+     * Friendly pieces defending this one, including x-rays through batteries
+     * @returns {Piece[]}
+     */
+    get defendedBy() {
+        this._refreshRelations();
+        return this._defendedBy;
+    }
+
+    /**
+     * Enemy pieces attacking this one, including x-rays through batteries
+     * @returns {Piece[]}
+     */
+    get attackedBy() {
+        this._refreshRelations();
+        return this._attackedBy;
+    }
+
+    /**
+     * Enemy pieces this one attacks
+     * @returns {Piece[]}
+     */
+    get attacking() {
+        this._refreshRelations();
+        return this._attacking;
+    }
+
+    /**
+     * Friendly pieces this one defends
+     * @returns {Piece[]}
+     */
+    get defending() {
+        this._refreshRelations();
+        return this._defending;
+    }
+
+    /**
+     * @returns {Boolean}
+     */
+    get isPinned() {
+        return !!this.pinnedBy;
+    }
+
+    /**
+     * Enemy slider pinning this piece
+     * @returns {Piece|null}
+     */
+    get pinnedBy() {
+        this._refreshRelations();
+        return this._pinnedBy;
+    }
+
+    /**
+     * Piece behind this one that the pin protects. A king means the pin is absolute
+     * @returns {Piece|null}
+     */
+    get pinnedTo() {
+        this._refreshRelations();
+        return this._pinnedTo;
+    }
+
+    /**
+     * Make sure relations reflect the current position of the board holding this piece
+     */
+    _refreshRelations() {
+        if (this.board) this.board.ensureRelations();
+    }
+
     get timesDefended() {
         return this.defendedBy.length;
     }
@@ -123,32 +196,78 @@ class Piece {
         return this.timesDefended > 0;
     }
 
+    // Definition: Attacks two or more pieces that are real targets: the king, something more
+    // valuable, or something undefended (see Board.findForks)
     get isForking() {
-        return this.attacking.length > 1;
+        if (!this.board) return false;
+
+        return this.board._getFork(this) !== null;
     }
 
     // Definition: Piece has no legal moves
     get isBlocked() {
+        if (!this.board) return false;
 
+        return this.board.getLegalMovesForPiece(this).length === 0;
     }
 
     // Definition: Piece has legal moves, but all legal squares are attacked by enemy
+    // (i.e. every move loses material by exchange evaluation). See Board.isPieceTrapped
     get isTrapped() {
+        if (!this.board) return false;
 
+        return this.board.isPieceTrapped(this);
     }
 
-    // Definition: Attacked more times than it's defended
+    // Definition: Attacked more times than it's defended, or attacked by a less valuable piece
     get isVulnerable() {
-        return this.timesAttacked > this.timesDefended;
+        let attackedByLesser = this.attackedBy.some( (attacker) => attacker.value < this.value );
+
+        return this.timesAttacked > this.timesDefended || attackedByLesser;
     }
 
+    // Definition: Has more defensive duties (guarding pieces, guarding mating squares, blocking checks)
+    // than it can meet at once, so that the opponent can deflect it from one of them
     get isOverworked() {
-        //TODO: Must consider other defensive duties such as preventing mate, not just number of pieces this one is defending
+        if (!this.board) return false;
+
+        let enemy = Piece.opposite(this.color);
+
+        return this.board.findOverloadedPieces(enemy).some( (overload) => overload.piece === this );
     }
 
+    /**
+     * Defensive duties of this piece, see Board.getDuties
+     * @returns {Object[]}
+     */
+    get duties() {
+        return this.board ? this.board.getDuties(this) : [];
+    }
+
+    // Definition: The opponent wins material by starting an exchange on this piece's square.
+    // Covers both undefended pieces and pieces attacked by something cheaper
     get isEnPrise() {
-        //TODO: Need to consider multiple scenarios such as attacked by less valuable piece, attacked more times than it's defended, etc
-        throw new Error("Not Implemented");
+        if (!this.board) return false;
+
+        return this.board.seeSquare(this.square) > 0;
+    }
+
+    /**
+     * Letter used for this piece in FEN. Upper-case is white
+     * @returns {String}
+     */
+    get fenChar() {
+        let letter = Piece.fenLetters[this.type];
+
+        return this.color === Piece.colors.WHITE ? letter.toUpperCase() : letter;
+    }
+
+    /**
+     * Conventional material value, in pawns
+     * @returns {Number}
+     */
+    get value() {
+        return Piece.values[this.type];
     }
 
     /** @type boolean */
@@ -168,12 +287,43 @@ class Piece {
         }
     }
 
+    // King is given a value above all others combined, so "more valuable" comparisons work
+    static get values() {
+        return {
+            pawn: 1,
+            knight: 3,
+            bishop: 3,
+            rook: 5,
+            queen: 9,
+            king: 100
+        }
+    }
+
+    static get fenLetters() {
+        return {
+            pawn: "p",
+            bishop: "b",
+            knight: "n",
+            rook: "r",
+            king: "k",
+            queen: "q"
+        }
+    }
+
     static get colors() {
         return {
             BLACK: "black",
             WHITE: "white"
         }
     }
+
+    /**
+     * @param {String} color
+     * @returns {String} The other side's color
+     */
+    static opposite(color) {
+        return color === Piece.colors.WHITE ? Piece.colors.BLACK : Piece.colors.WHITE;
+    }
 }
 
 class Pawn extends Piece {
@@ -187,15 +337,54 @@ class Pawn extends Piece {
             white: ["a2", "b2", "c2", "d2", "e2", "f2", "g2", "h2"]
         }
 
-        //TODO: Must be set from outside (in board logic)
-        this.isDoubled = false;
+        // Set by Board.analyzePawnStructure, which runs along with the piece relations
+        this._structure = {
+            doubled: false,
+            isolated: false,
+            passed: false,
+            backward: false,
+            connected: false,
+            candidate: false
+        };
+    }
+
+    // Definition: Another pawn of the same color on the same file
+    get isDoubled() {
+        this._refreshRelations();
+        return this._structure.doubled;
     }
 
+    // Definition: No pawns of the same color on either adjacent file
     get isIsolated() {
-        //TODO: Look at defenders array, return true if any are other pawns
+        this._refreshRelations();
+        return this._structure.isolated;
     }
 
+    // Definition: No enemy pawns ahead on the same or adjacent files
+    get isPassed() {
+        this._refreshRelations();
+        return this._structure.passed;
+    }
 
+    // Definition: Friendly pawns on adjacent files are all further advanced, and the square
+    // ahead is controlled by an enemy pawn
+    get isBackward() {
+        this._refreshRelations();
+        return this._structure.backward;
+    }
+
+    // Definition: A friendly pawn on an adjacent file, on the same rank or one either side
+    get isConnected() {
+        this._refreshRelations();
+        return this._structure.connected;
+    }
+
+    // Definition: Not passed, no enemy pawn ahead on its file, and at least as many
+    // friendly helpers as enemy pawns guarding its path on adjacent files
+    get isCandidate() {
+        this._refreshRelations();
+        return this._structure.candidate;
+    }
 }
 
 class Bishop extends Piece {
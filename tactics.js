@@ -0,0 +1,119 @@
+let Board = require("./Board.js");
+
+/**
+ *  Tactics finder regression suite.
+ *
+ *  node tactics.js
+ *
+ *  Each case sets up a position and checks one finding, or that something isn't found.
+ *  Exits with status 1 if any case fails.
+ */
+
+/**
+ * @param {Board} board
+ * @param {String} color Side doing the trapping
+ * @returns {String[]} e.g. "b3 traps a2", or "traps h1" for a piece already trapped
+ */
+function traps(board, color) {
+    return board.findTrappedPieces(color).map( (trap) => {
+        return (trap.move ? trap.move.toSAN(board) + " " : "") + "traps " + trap.piece.square;
+    });
+}
+
+/**
+ * @param {Board} board
+ * @param {String} color Side doing the forking
+ * @returns {String[]} e.g. "Nc7+ forks a8 e8", or "d1 forks a1 d8" for a fork already on the board
+ */
+function forks(board, color) {
+    return board.findForks(color).map( (fork) => {
+        let from = fork.move ? fork.move.toSAN(board) : fork.piece.square;
+
+        return from + " forks " + fork.targets.map( (target) => target.square ).sort().join(" ");
+    });
+}
+
+const cases = [
+    {
+        name: "Knight fork of king and rook",
+        fen: "r3k3/8/8/3N4/8/8/8/4K3 w - - 0 1",
+        test: (board) => forks(board, "white").includes("Nc7+ forks a8 e8")
+    },
+    {
+        name: "X-ray through a friendly piece is not a fork",
+        fen: "3r3k/8/8/8/8/8/3Q4/n2R2K1 w - - 0 1",
+        test: (board) => !forks(board, "white").includes("d1 forks a1 d8")
+            && !board.getPieceAtSquare("d1").isForking
+    },
+    {
+        name: "Castling forks with the rook",
+        fen: "4k3/8/8/5n2/8/8/8/b3K2R w K - 0 1",
+        test: (board) => forks(board, "white").includes("O-O forks a1 f5")
+    },
+    {
+        name: "Discovered attack: taking the target unveils nothing, and retreats aren't double attacks",
+        fen: "rn2kb1r/ppp1qppp/5n2/4p3/2B1P3/1Q6/PPP2PPP/RNB1K2R w KQkq - 4 8",
+        test: (board) => {
+            let discovery = board.findDiscoveredAttacks("white").find( (found) => found.front.square === "c4" );
+            let moves = discovery.moves.map( (unveiling) => unveiling.move.toSAN(board) + (unveiling.isDoubleAttack ? " (double attack)" : "") );
+
+            return !moves.some( (move) => move.startsWith("Bxf7") ) && moves.includes("Bd3") && moves.includes("Bb5+ (double attack)");
+        }
+    },
+    {
+        name: "Trapped bishop: b3 shuts in the bishop on a2",
+        fen: "4k3/8/8/8/8/8/bPP5/R1K5 w - - 0 1",
+        test: (board) => traps(board, "white").includes("b3 traps a2")
+    },
+    {
+        name: "Trapped rook: hemmed in on h1 and attacked by the king",
+        fen: "4k3/8/8/8/8/8/5PKP/6Br b - - 0 1",
+        test: (board) => traps(board, "white").includes("traps h1")
+            && board.getPieceAtSquare("h1").isTrapped
+    },
+    {
+        name: "Hemmed in but not attacked: not a trap",
+        fen: "4k3/8/8/8/8/8/5PPP/5KBr w - - 0 1",
+        test: (board) => traps(board, "white").length === 0
+    },
+    {
+        name: "Restricted only by check: the queen isn't trapped",
+        fen: "rnbqkbnr/ppp2ppp/3p4/1B2p3/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 1 3",
+        test: (board) => !board.getPieceAtSquare("d8").isTrapped
+    },
+    {
+        name: "Restricted only by check: Bb5+ doesn't trap the queen",
+        fen: "rnbqkbnr/ppp2ppp/3p4/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 0 3",
+        test: (board) => !traps(board, "white").some( (trap) => trap.endsWith("d8") )
+    }
+];
+
+let passed = true;
+
+cases.forEach( (testCase) => {
+
+    let board = new Board();
+    let ok;
+
+    try {
+        board.setPositionFromFEN(testCase.fen);
+        ok = testCase.test(board);
+    } catch (e) {
+        console.log(`    ${e.stack}`);
+        ok = false;
+    }
+
+    if (ok) {
+        console.log(`ok    ${testCase.name}`);
+        return;
+    }
+
+    passed = false;
+
+    console.log(`FAIL  ${testCase.name}`);
+    console.log(`    ${testCase.fen}`);
+});
+
+console.log(`\n${passed ? "All cases pass" : "Some cases fail"}.`);
+
+process.exitCode = passed ? 0 : 1;